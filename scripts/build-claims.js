@@ -0,0 +1,117 @@
+/**
+ * Build the unrealised claims layer (claims.geojson).
+ *
+ * The acquisitions show what the United States ended up with. This builds
+ * the larger claims pressed along the way that were never realised, each
+ * shown with the story step it belongs to: all of Oregon Country up to
+ * 54°40′, the Republic of Texas' claim to the upper Rio Grande, the All
+ * Mexico movement, and the Confederacy's Arizona Territory.
+ *
+ * Only the part of each claim beyond what was acquired is drawn. Outlines are
+ * coarse, hand-placed rings (the treaty lines and rivers the claims named)
+ * clipped to modern state or country borders so coastlines follow real
+ * ones. They are meant to show roughly what was at stake, not surveyed lines.
+ *
+ * Usage: node scripts/build-claims.js
+ */
+
+import { readFileSync, writeFileSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import * as topojson from "topojson-client";
+import * as turf from "@turf/turf";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, "../public/data/us-territorial-expansion");
+
+// `era` is the story step the claim is shown with; `from` and `to` the years
+// it was pressed (explore mode). The outline is clipped to the FIPS `states`
+// or ISO numeric `countries` it covers.
+const CLAIMS = [
+  {
+    id: "texas", name: "Republic of Texas claim", claimant: "Republic of Texas",
+    era: "texas", from: 1836, to: 1850,
+    detail: "The Boundary Act of 1836 claimed the Rio Grande to its source and a line north to the 42nd parallel, taking in Santa Fe. Annexation left the claim unsettled; the Compromise of 1850 fixed today’s border and gave Texas $10 million toward its debts",
+    states: ["35", "08", "56", "20", "40"],
+    // Up the Rio Grande to its source, north to 42°N, then the 1819
+    // Adams–Onís line back down the Arkansas to the 100th meridian
+    outline: [[-106.45, 31.7], [-106.62, 32], [-106.78, 32.3], [-107.25, 33.13], [-106.88, 34.06],
+      [-106.67, 35.08], [-106.33, 35.6], [-106.08, 36], [-105.75, 36.35], [-105.72, 37],
+      [-105.87, 37.47], [-106.35, 37.68], [-106.93, 37.85], [-107.55, 37.8], [-107.55, 42],
+      [-106.3, 42], [-106.3, 39.25], [-106, 38.53], [-105.24, 38.44], [-104.6, 38.27],
+      [-103.5, 38], [-102.6, 38.1], [-100.87, 37.97], [-100, 37.75], [-100, 36], [-102.5, 36],
+      [-102.5, 31.5]],
+  },
+  {
+    id: "fiftyfourforty", name: "Fifty-four forty", claimant: "United States (Polk’s 1844 campaign)",
+    era: "oregon", from: 1844, to: 1846,
+    detail: "Expansionists claimed all of Oregon Country, up to the border of Russian America at 54°40′N. Polk settled for the 49th parallel in the Oregon Treaty rather than risk a war with Britain while one with Mexico loomed",
+    countries: ["124"],
+    // The Pacific coast from 48°N to 54°40′N, east to the continental divide
+    outline: [[-136, 48], [-114.05, 48], [-114.05, 49], [-115.5, 50.5], [-117.5, 52],
+      [-119.5, 53.5], [-120.7, 54.667], [-136, 54.667]],
+  },
+  {
+    id: "allmexico", name: "All Mexico", claimant: "The All Mexico movement",
+    era: "mexican", from: 1847, to: 1848,
+    detail: "With the army in Mexico City, some Democrats and newspapers pressed to annex the whole country. Others balked at absorbing its people; the Senate ratified Nicholas Trist’s treaty, taking the north alone",
+    countries: ["484"],
+    outline: [[-118.5, 14], [-86, 14], [-86, 33], [-118.5, 33]],
+  },
+  {
+    id: "arizona", name: "Confederate Arizona", claimant: "Confederate States",
+    era: "gadsden", from: 1861, to: 1862,
+    detail: "Proclaimed in 1861 from New Mexico Territory south of the 34th parallel and organized by the Confederate Congress in 1862. Union troops retook it that summer; Congress drew the US Arizona Territory of 1863 north–south instead, along the 109th meridian",
+    states: ["04", "35"],
+    outline: [[-115, 31], [-103, 31], [-103, 34], [-115, 34]],
+  },
+];
+
+// ─────────────────────────────────────────────────────────────
+// Geometry utilities
+// ─────────────────────────────────────────────────────────────
+
+// D3's spherical polygons want clockwise exterior rings (see
+// extract-acquisitions.js); turf returns RFC 7946 counterclockwise rings.
+function rewindForD3(geometry) {
+  return turf.rewind(geometry, { reverse: true });
+}
+
+// Three decimals (~100 m) matches the precision of acquisitions.geojson
+function roundCoordinates(geometry) {
+  const round = (c) => (typeof c[0] === "number"
+    ? c.map((v) => Math.round(v * 1000) / 1000)
+    : c.map(round));
+  return { type: geometry.type, coordinates: round(geometry.coordinates) };
+}
+
+function clipTo(topo, object, ids, outline) {
+  const shapes = topo.objects[object].geometries.filter((g) => ids.includes(g.id));
+  const within = turf.rewind(turf.feature(topojson.merge(topo, shapes)));
+  const ring = turf.polygon([[...outline, outline[0]]]);
+  const clipped = turf.intersect(turf.featureCollection([within, turf.rewind(ring)]));
+  return rewindForD3(clipped.geometry);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────
+
+function main() {
+  const states = JSON.parse(readFileSync(join(DATA_DIR, "us-states-10m.json"), "utf8"));
+  const world = JSON.parse(readFileSync(join(DATA_DIR, "world-countries-50m.json"), "utf8"));
+
+  const features = CLAIMS.map(({ states: stateIds, countries, outline, ...properties }) => {
+    const geometry = stateIds
+      ? clipTo(states, "states", stateIds, outline)
+      : clipTo(world, "countries", countries, outline);
+    console.log(`Added ${properties.name} (${properties.from}–${properties.to})`);
+    return { type: "Feature", properties, geometry: roundCoordinates(geometry) };
+  });
+
+  const outputPath = join(DATA_DIR, "claims.geojson");
+  writeFileSync(outputPath, JSON.stringify({ type: "FeatureCollection", features }));
+  console.log(`Wrote ${features.length} claims to ${outputPath}`);
+}
+
+main();
@@ -0,0 +1,168 @@
+/**
+ * Build the pre-simplified geometry tiers the map loads by zoom level.
+ *
+ * acquisitions.geojson, every yearly file listed in story.json and the
+ * neighbouring countries cut from world-countries-50m.json are packed into one
+ * TopoJSON topology per tier, so the first step can draw from a single small
+ * file. The yearly files redraw the same state borders over and over, so
+ * sharing arcs between them is most of the saving; simplifying and quantizing
+ * coarser for the zoomed-out views does the rest.
+ *
+ *   low     wide views (full, alaska)         loaded first
+ *   medium  continental
+ *   high    east, the closest zoom            unsimplified
+ *
+ * Arcs are simplified with Douglas–Peucker, keeping their endpoints, so
+ * neighbouring polygons still share a border at every tier. Rings that would
+ * collapse or turn inside out (small islands, mostly) keep their points.
+ *
+ * Run after anything that regenerates acquisitions.geojson or a yearly file,
+ * or after changing CONTEXT_COUNTRY_IDS.
+ *
+ * Usage: node scripts/build-geometry-tiers.js
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from "fs";
+import { join, dirname, basename } from "path";
+import { fileURLToPath } from "url";
+import { topology } from "topojson-server";
+import * as topojson from "topojson-client";
+import * as turf from "@turf/turf";
+import * as d3 from "d3";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, "../public/data/us-territorial-expansion");
+const OUTPUT_DIR = join(DATA_DIR, "tiers");
+
+// Tolerance in degrees (0 = keep every point) and quantization per tier.
+// Keep the names in sync with `detail` in ZOOM_LEVELS (main.js).
+const TIERS = {
+  low: { tolerance: 0.08, quantization: 1e4 },
+  medium: { tolerance: 0.025, quantization: 1e5 },
+  high: { tolerance: 0, quantization: 1e6 },
+};
+
+// Neighbouring countries drawn for context, by Natural Earth id
+const CONTEXT_COUNTRY_IDS = [
+  // North America
+  124, // Canada
+  484, // Mexico
+  304, // Greenland
+  // Central America
+  84,  // Belize
+  320, // Guatemala
+  340, // Honduras
+  222, // El Salvador
+  558, // Nicaragua
+  188, // Costa Rica
+  591, // Panama
+  // Caribbean
+  44,  // Bahamas
+  192, // Cuba
+  388, // Jamaica
+  332, // Haiti
+  214, // Dominican Republic
+];
+
+// ─────────────────────────────────────────────────────────────
+// Geometry utilities
+// ─────────────────────────────────────────────────────────────
+
+function simplifyArc(arc, tolerance) {
+  if (!tolerance || arc.length < 3) return arc;
+  return turf.simplify(turf.lineString(arc), { tolerance, highQuality: true }).geometry.coordinates;
+}
+
+// Planar signed area of a ring given as arc indices (~i for a reversed arc)
+function ringArea(arcs, ring) {
+  return d3.polygonArea(ring.flatMap((i) => (i < 0 ? [...arcs[~i]].reverse() : arcs[i])));
+}
+
+function eachRing(topo, callback) {
+  const visit = (geometry) => {
+    if (geometry.type === "GeometryCollection") geometry.geometries.forEach(visit);
+    else if (geometry.type === "Polygon") geometry.arcs.forEach(callback);
+    else if (geometry.type === "MultiPolygon") geometry.arcs.forEach((polygon) => polygon.forEach(callback));
+  };
+  Object.values(topo.objects).forEach(visit);
+}
+
+// Simplify every arc, then put back the original points of any ring that
+// collapsed or flipped orientation as a result. Restoring an arc changes
+// every ring sharing it, so repeat until nothing changes.
+function simplifyTopology(topo, tolerance) {
+  const original = topo.arcs;
+  const arcs = original.map((arc) => simplifyArc(arc, tolerance));
+
+  let restored;
+  do {
+    restored = 0;
+    eachRing(topo, (ring) => {
+      if (Math.sign(ringArea(arcs, ring)) === Math.sign(ringArea(original, ring))) return;
+      for (const i of ring) {
+        const index = i < 0 ? ~i : i;
+        if (arcs[index] !== original[index]) {
+          arcs[index] = original[index];
+          restored++;
+        }
+      }
+    });
+  } while (restored);
+
+  topo.arcs = arcs;
+}
+
+// D3 fills the rest of the globe if a ring flips orientation, which shows
+// up as a polygon larger than a hemisphere
+function checkWinding(features, label) {
+  for (const feature of features) {
+    if (feature.geometry && d3.geoArea(feature) > 2 * Math.PI) {
+      throw new Error(`${label}: a ring flipped orientation in ${JSON.stringify(feature.properties)}`);
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────
+
+function main() {
+  const story = JSON.parse(readFileSync(join(DATA_DIR, "story.json"), "utf8"));
+  const files = ["acquisitions.geojson", ...new Set(story.steps.map((step) => step.file))];
+
+  const objects = {};
+  let sourceBytes = 0;
+  for (const file of files) {
+    const text = readFileSync(join(DATA_DIR, file), "utf8");
+    sourceBytes += text.length;
+    objects[basename(file, ".geojson")] = JSON.parse(text);
+  }
+
+  const world = JSON.parse(readFileSync(join(DATA_DIR, "world-countries-50m.json"), "utf8"));
+  objects["context-countries"] = {
+    type: "FeatureCollection",
+    features: topojson.feature(world, world.objects.countries).features
+      .filter((f) => CONTEXT_COUNTRY_IDS.includes(parseInt(f.id, 10))),
+  };
+
+  mkdirSync(OUTPUT_DIR, { recursive: true });
+  console.log(`Source: ${files.length} files, ${Math.round(sourceBytes / 1024)} KB\n`);
+
+  for (const [tier, { tolerance, quantization }] of Object.entries(TIERS)) {
+    const topo = topology(objects);
+    simplifyTopology(topo, tolerance);
+    const output = topojson.quantize(topo, quantization);
+
+    for (const name of Object.keys(objects)) {
+      checkWinding(topojson.feature(output, output.objects[name]).features, `${tier}/${name}`);
+    }
+
+    const outputPath = join(OUTPUT_DIR, `geometry.${tier}.json`);
+    const text = JSON.stringify(output);
+    writeFileSync(outputPath, text);
+    const points = topo.arcs.reduce((sum, arc) => sum + arc.length, 0);
+    console.log(`${tier}: ${points.toLocaleString()} points, ${Math.round(text.length / 1024)} KB → ${outputPath}`);
+  }
+}
+
+main();
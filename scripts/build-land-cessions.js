@@ -0,0 +1,174 @@
+/**
+ * Build the Indigenous land cession layer (land-cessions.geojson).
+ *
+ * The acquisition treaties moved claims between governments; the land itself
+ * was then taken from the nations living on it, cession by cession. This
+ * builds a selection of major cessions for the optional map layer.
+ *
+ * Outlines are coarse, hand-placed approximations of the maps in Charles C.
+ * Royce, "Indian Land Cessions in the United States" (18th Annual Report of
+ * the Bureau of American Ethnology, 1899), clipped to the modern states they
+ * fall in so coastlines and rivers follow real borders. They are meant to
+ * show roughly where and when, not surveyed treaty lines.
+ *
+ * Usage: node scripts/build-land-cessions.js
+ */
+
+import { readFileSync, writeFileSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import * as topojson from "topojson-client";
+import * as turf from "@turf/turf";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, "../public/data/us-territorial-expansion");
+
+// `states` are the FIPS ids the outline is clipped to; `outline` is a rough
+// [lon, lat] ring drawn a little beyond those borders
+const CESSIONS = [
+  {
+    id: "greenville", treaty: "Treaty of Greenville", date: "1795-08-03",
+    nations: "Shawnee, Wyandot, Lenape, Miami, Odawa, Ojibwe, Potawatomi and others",
+    detail: "Signed after the defeat at Fallen Timbers; opened most of Ohio to settlement",
+    states: ["39", "18"],
+    outline: [[-81.69, 41.6], [-81.52, 41.08], [-81.45, 40.62], [-84.35, 40.33], [-84.82, 40.41],
+      [-85.18, 38.68], [-80, 38.3], [-80, 42.3]],
+  },
+  {
+    id: "fortjackson", treaty: "Treaty of Fort Jackson", date: "1814-08-09",
+    nations: "Muscogee (Creek)",
+    detail: "Imposed after the Creek War, including on Creeks who had fought alongside the US",
+    states: ["01", "13"],
+    outline: [[-88.1, 30.5], [-88.1, 32.5], [-87.4, 33.6], [-86.5, 34.3], [-86.1, 33.2],
+      [-85.9, 32.5], [-85.1, 32.05], [-84, 31.9], [-82.6, 31.85], [-81.9, 31.6], [-81.3, 30.5]],
+  },
+  {
+    id: "doaksstand", treaty: "Treaty of Doak's Stand", date: "1820-10-18",
+    nations: "Choctaw",
+    detail: "Exchanged for land further west, in Arkansas Territory",
+    states: ["28"],
+    outline: [[-91.7, 32.2], [-90.2, 31.7], [-89.3, 31.9], [-89.3, 32.5], [-89.7, 33],
+      [-90.3, 33.5], [-90.8, 33.6], [-91.7, 33.6]],
+  },
+  {
+    id: "dancingrabbit", treaty: "Treaty of Dancing Rabbit Creek", date: "1830-09-27",
+    nations: "Choctaw",
+    detail: "The first removal treaty under the Indian Removal Act of 1830",
+    states: ["28", "01"],
+    outline: [[-91.7, 33.6], [-90.8, 33.6], [-90.3, 33.5], [-89.7, 33], [-89.3, 32.5],
+      [-89.3, 31.9], [-88.3, 31.9], [-88.1, 32.5], [-88.2, 33.3], [-88.5, 33.9], [-89.2, 34],
+      [-90.4, 34.3], [-91.7, 34.3]],
+  },
+  {
+    id: "pontotoc", treaty: "Treaty of Pontotoc Creek", date: "1832-10-20",
+    nations: "Chickasaw",
+    detail: "Land sold at public auction; the Chickasaw were removed west from 1837",
+    states: ["28", "01"],
+    outline: [[-91.7, 34.3], [-90.4, 34.3], [-89.2, 34], [-88.5, 33.9], [-88.1, 34.3],
+      [-87.9, 34.9], [-88.2, 35.1], [-91.7, 35.1]],
+  },
+  {
+    id: "blackhawk", treaty: "Black Hawk Purchase", date: "1832-09-21",
+    nations: "Sauk and Meskwaki",
+    detail: "Exacted after the Black Hawk War: a strip about 50 miles wide along the Mississippi",
+    states: ["19"],
+    outline: [[-92.1, 40.3], [-91.9, 41.8], [-91.8, 43.55], [-89.9, 43.55], [-89.9, 40.3]],
+  },
+  {
+    id: "chicago", treaty: "Treaty of Chicago", date: "1833-09-26",
+    nations: "Potawatomi, Odawa and Ojibwe",
+    detail: "The last large cession in Illinois; the signatory bands were removed west",
+    states: ["17", "55"],
+    outline: [[-88.9, 42.1], [-89, 43.1], [-88, 43.6], [-87.4, 43.6], [-87.4, 41.8], [-88.2, 41.7]],
+  },
+  {
+    id: "newechota", treaty: "Treaty of New Echota", date: "1835-12-29",
+    nations: "Cherokee",
+    detail: "Signed by a minority faction without the Cherokee government; led to the Trail of Tears",
+    states: ["13", "01", "47", "37"],
+    outline: [[-86.2, 34.4], [-85.9, 34.9], [-85.3, 35.2], [-84.7, 35.4], [-84, 35.6], [-83.2, 35.4],
+      [-83.1, 35], [-83.6, 34.6], [-84.1, 34], [-84.9, 33.6], [-85.5, 33.8]],
+  },
+  {
+    id: "traversedessioux", treaty: "Treaties of Traverse des Sioux and Mendota", date: "1851-07-23",
+    nations: "Dakota (Sisseton, Wahpeton, Mdewakanton and Wahpekute)",
+    detail: "Most of southern Minnesota; unpaid annuities fed the US–Dakota War of 1862",
+    states: ["27"],
+    outline: [[-96.7, 46], [-94.6, 45.9], [-93.3, 45.2], [-93, 44.8], [-92.3, 44.45],
+      [-91.2, 43.4], [-96.7, 43.4]],
+  },
+  {
+    id: "medicinecreek", treaty: "Treaty of Medicine Creek", date: "1854-12-26",
+    nations: "Nisqually, Puyallup, Squaxin Island and others",
+    detail: "Reservations too small to live on helped start the Puget Sound War (1855–56)",
+    states: ["53"],
+    outline: [[-123.3, 46.9], [-122.4, 46.7], [-121.7, 47], [-122.3, 47.35], [-122.6, 47.35],
+      [-123.1, 47.3]],
+  },
+  {
+    id: "pointelliott", treaty: "Treaty of Point Elliott", date: "1855-01-22",
+    nations: "Duwamish, Suquamish, Snoqualmie, Lummi and others",
+    detail: "Its reserved fishing rights were upheld in the Boldt decision (1974)",
+    states: ["53"],
+    outline: [[-122.6, 47.35], [-122.3, 47.35], [-121.4, 47.35], [-121.1, 48], [-120.8, 49.1],
+      [-123.4, 49.1], [-123.4, 48.2], [-122.8, 47.8]],
+  },
+  {
+    id: "blackhills", treaty: "Black Hills Act", date: "1877-02-28",
+    nations: "Lakota",
+    detail: "Taken despite the 1868 Fort Laramie Treaty; the Supreme Court found in 1980 that it was never justly paid for, and the Lakota have refused the award",
+    states: ["46"],
+    outline: [[-104.2, 43.3], [-104.2, 44.7], [-103.4, 44.8], [-102.9, 44.3], [-102.9, 43.9],
+      [-103.2, 43.45], [-103.6, 43.3]],
+  },
+];
+
+// ─────────────────────────────────────────────────────────────
+// Geometry utilities
+// ─────────────────────────────────────────────────────────────
+
+// D3's spherical polygons want clockwise exterior rings (see
+// extract-acquisitions.js); turf returns RFC 7946 counterclockwise rings.
+function rewindForD3(geometry) {
+  return turf.rewind(geometry, { reverse: true });
+}
+
+// Three decimals (~100 m) matches the precision of acquisitions.geojson
+function roundCoordinates(geometry) {
+  const round = (c) => (typeof c[0] === "number"
+    ? c.map((v) => Math.round(v * 1000) / 1000)
+    : c.map(round));
+  return { type: geometry.type, coordinates: round(geometry.coordinates) };
+}
+
+function clipToStates(topo, stateIds, outline) {
+  const states = topo.objects.states.geometries.filter((g) => stateIds.includes(g.id));
+  const within = turf.rewind(turf.feature(topojson.merge(topo, states)));
+  const ring = turf.polygon([[...outline, outline[0]]]);
+  const clipped = turf.intersect(turf.featureCollection([within, turf.rewind(ring)]));
+  return rewindForD3(clipped.geometry);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────
+
+function main() {
+  const topo = JSON.parse(readFileSync(join(DATA_DIR, "us-states-10m.json"), "utf8"));
+
+  const features = CESSIONS.map(({ states, outline, ...properties }) => {
+    const geometry = clipToStates(topo, states, outline);
+    console.log(`Added ${properties.treaty} (${properties.date.slice(0, 4)})`);
+    return {
+      type: "Feature",
+      properties: { ...properties, year: parseInt(properties.date, 10) },
+      geometry: roundCoordinates(geometry),
+    };
+  });
+
+  const outputPath = join(DATA_DIR, "land-cessions.geojson");
+  writeFileSync(outputPath, JSON.stringify({ type: "FeatureCollection", features }));
+  console.log(`Wrote ${features.length} cessions to ${outputPath}`);
+}
+
+main();
@@ -0,0 +1,110 @@
+/**
+ * Build outlines for the overseas territories shown in the map insets.
+ *
+ * Puerto Rico, Guam and American Samoa come from us-states-10m.json, the
+ * Philippines from world-countries-50m.json. The Panama Canal Zone has no
+ * source outline, so it is approximated as a 5-mile buffer either side of
+ * the canal, clipped to Panama's coastline.
+ *
+ * Also replaces the hand-drawn Hawaii polygon in acquisitions.geojson with
+ * the real island outlines, now that Hawaii is drawn enlarged in an inset.
+ *
+ * Usage: node scripts/build-overseas-territories.js
+ */
+
+import { readFileSync, writeFileSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import * as topojson from "topojson-client";
+import * as turf from "@turf/turf";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, "../public/data/us-territorial-expansion");
+
+// `era` is the story step the territory arrives with; `relinquished` is the
+// year it stopped being US territory, if it did
+const TERRITORIES = [
+  { id: "puertorico", name: "Puerto Rico", source: "states", sourceId: "72",
+    era: "hawaii", acquired: 1898, detail: "Ceded by Spain · Treaty of Paris (1898)" },
+  { id: "guam", name: "Guam", source: "states", sourceId: "66",
+    era: "hawaii", acquired: 1898, detail: "Ceded by Spain · Treaty of Paris (1898)" },
+  { id: "philippines", name: "Philippines", source: "countries", sourceId: "608",
+    era: "hawaii", acquired: 1898, relinquished: 1946,
+    detail: "Bought from Spain for $20M · independent 1946" },
+  { id: "samoa", name: "American Samoa", source: "states", sourceId: "60",
+    era: "pacific", acquired: 1900, detail: "Tripartite Convention (1899) · ceded 1900" },
+  { id: "canalzone", name: "Canal Zone", source: "canal",
+    era: "pacific", acquired: 1904, relinquished: 1979,
+    detail: "Hay–Bunau-Varilla Treaty · returned to Panama 1979" },
+];
+
+// Canal centreline, Cristóbal to Balboa
+const CANAL_ROUTE = [
+  [-79.92, 9.37], [-79.92, 9.27], [-79.85, 9.2], [-79.76, 9.13],
+  [-79.7, 9.11], [-79.64, 9.05], [-79.6, 9.0], [-79.57, 8.94],
+];
+const CANAL_ZONE_HALF_WIDTH_MILES = 5;
+
+// ─────────────────────────────────────────────────────────────
+// Geometry utilities
+// ─────────────────────────────────────────────────────────────
+
+// D3's spherical polygons want clockwise exterior rings (see
+// extract-acquisitions.js); turf returns RFC 7946 counterclockwise rings.
+function rewindForD3(geometry) {
+  return turf.rewind(geometry, { reverse: true });
+}
+
+// Three decimals (~100 m) matches the precision of acquisitions.geojson
+function roundCoordinates(geometry) {
+  const round = (c) => (typeof c[0] === "number"
+    ? c.map((v) => Math.round(v * 1000) / 1000)
+    : c.map(round));
+  return { type: geometry.type, coordinates: round(geometry.coordinates) };
+}
+
+function loadTopo(file, object) {
+  const topo = JSON.parse(readFileSync(join(DATA_DIR, file), "utf8"));
+  return topojson.feature(topo, topo.objects[object]).features;
+}
+
+function canalZoneGeometry(panama) {
+  const buffer = turf.buffer(turf.lineString(CANAL_ROUTE), CANAL_ZONE_HALF_WIDTH_MILES, {
+    units: "miles",
+  });
+  const zone = turf.intersect(turf.featureCollection([buffer, turf.rewind(panama)]));
+  return rewindForD3(zone.geometry);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────
+
+function main() {
+  const states = loadTopo("us-states-10m.json", "states");
+  const countries = loadTopo("world-countries-50m.json", "countries");
+  const byId = (features, id) => features.find((f) => String(f.id) === id);
+
+  const features = TERRITORIES.map(({ source, sourceId, ...properties }) => {
+    let geometry;
+    if (source === "states") geometry = byId(states, sourceId).geometry;
+    else if (source === "countries") geometry = byId(countries, sourceId).geometry;
+    else geometry = canalZoneGeometry(byId(countries, "591"));
+    console.log(`Added ${properties.name}`);
+    return { type: "Feature", properties, geometry: roundCoordinates(geometry) };
+  });
+
+  const outputPath = join(DATA_DIR, "overseas-territories.geojson");
+  writeFileSync(outputPath, JSON.stringify({ type: "FeatureCollection", features }));
+  console.log(`Wrote ${features.length} territories to ${outputPath}`);
+
+  // Swap the hand-drawn Hawaii rectangles for the real islands
+  const acquisitionsPath = join(DATA_DIR, "acquisitions.geojson");
+  const acquisitions = JSON.parse(readFileSync(acquisitionsPath, "utf8"));
+  const hawaii = acquisitions.features.find((f) => f.properties.era === "hawaii");
+  hawaii.geometry = roundCoordinates(byId(states, "15").geometry);
+  writeFileSync(acquisitionsPath, JSON.stringify(acquisitions));
+  console.log("Updated Hawaii in acquisitions.geojson");
+}
+
+main();
@@ -0,0 +1,79 @@
+/**
+ * Add area and price statistics to each feature in acquisitions.geojson.
+ *
+ * Areas are measured from the polygons we actually draw, so they follow the
+ * map's primary-acquisition simplification rather than treaty figures (the
+ * Louisiana polygon includes all of Colorado, Wyoming and Montana, say).
+ * Prices are the nominal amounts paid, adjusted to TARGET_YEAR dollars with
+ * the consumer price index.
+ *
+ * Run after anything that regenerates acquisitions.geojson
+ * (build-acquisitions-from-states.js, build-overseas-territories.js).
+ *
+ * Usage: node scripts/compute-acquisition-stats.js
+ */
+
+import { readFileSync, writeFileSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import * as d3 from "d3";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, "../public/data/us-territorial-expansion");
+
+const EARTH_RADIUS_KM = 6371.0088; // IUGG mean radius
+const KM2_PER_SQ_MI = 2.589988110336;
+
+// Nominal price paid, by era; `note` replaces the word "price" where the
+// payment was something else. Eras without an entry (treaty cessions,
+// annexations) get a null price.
+const PRICES = {
+  louisiana: { usd: 15_000_000, year: 1803 },
+  florida: { usd: 5_000_000, year: 1819, note: "in assumed claims" },
+  mexican: { usd: 15_000_000, year: 1848 },
+  gadsden: { usd: 10_000_000, year: 1853 },
+  alaska: { usd: 7_200_000, year: 1867 },
+};
+
+// Consumer price index, 1982–84 = 100. Pre-1913 values are the Federal
+// Reserve Bank of Minneapolis estimates (1967 = 100) rebased and rounded;
+// 2024 is the BLS CPI-U annual average.
+const CPI = {
+  1803: 15.0,
+  1819: 16.3,
+  1848: 8.7,
+  1853: 8.3,
+  1867: 14.0,
+  2024: 313.7,
+};
+const TARGET_YEAR = 2024;
+
+function main() {
+  const path = join(DATA_DIR, "acquisitions.geojson");
+  const acquisitions = JSON.parse(readFileSync(path, "utf8"));
+
+  for (const feature of acquisitions.features) {
+    const { era } = feature.properties;
+    const areaKm2 = d3.geoArea(feature) * EARTH_RADIUS_KM ** 2;
+    const price = PRICES[era];
+
+    Object.assign(feature.properties, {
+      area_km2: Math.round(areaKm2),
+      area_sq_mi: Math.round(areaKm2 / KM2_PER_SQ_MI),
+      price_usd: price ? price.usd : null,
+      price_year: price ? price.year : null,
+      price_note: price?.note ?? null,
+      price_adjusted_usd: price ? Math.round(price.usd * CPI[TARGET_YEAR] / CPI[price.year]) : null,
+      price_adjusted_year: price ? TARGET_YEAR : null,
+    });
+
+    const { area_sq_mi, price_adjusted_usd } = feature.properties;
+    console.log(`${era}: ${area_sq_mi.toLocaleString()} sq mi` +
+      (price ? `, $${price.usd.toLocaleString()} → $${price_adjusted_usd.toLocaleString()}` : ""));
+  }
+
+  writeFileSync(path, JSON.stringify(acquisitions));
+  console.log(`\nUpdated ${acquisitions.features.length} features in ${path}`);
+}
+
+main();
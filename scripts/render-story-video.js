@@ -0,0 +1,191 @@
+/**
+ * Render the territorial expansion story to a video or GIF.
+ *
+ * Serves the production build, opens the story in headless Chrome with
+ * ?render=frames (see "Headless render mode" in main.js), collects the PNG
+ * frames the page posts back and assembles them with ffmpeg. The page runs
+ * its transitions on a virtual clock, so the output is the same however
+ * fast the machine is.
+ *
+ * Usage: npm run build && node scripts/render-story-video.js [options]
+ *   --format mp4|webm|gif   default mp4
+ *   --fps <n>               default 30 (GIFs are resampled to 15)
+ *   --width <px>            frame width, default 1280
+ *   --viewport <w>x<h>      browser window, default 1380x800; the story
+ *                           panel's 480 px are cropped off the frames
+ *   --out <file>            default story.<format>
+ * Prerequisites: ffmpeg, and Chrome or Chromium (set CHROME to its path if
+ * it isn't on PATH as google-chrome)
+ */
+
+import { createServer } from "http";
+import { spawn, execFileSync } from "child_process";
+import { readFileSync, writeFileSync, mkdirSync, rmSync, existsSync, statSync } from "fs";
+import { join, dirname, extname, normalize } from "path";
+import { fileURLToPath } from "url";
+import { tmpdir } from "os";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = join(__dirname, "../dist");
+const FRAMES_DIR = join(tmpdir(), "us-territorial-expansion-frames");
+const STALL_TIMEOUT_MS = 60_000; // give up if no frame arrives for this long
+
+const MIME_TYPES = {
+  ".html": "text/html",
+  ".js": "text/javascript",
+  ".css": "text/css",
+  ".json": "application/json",
+  ".geojson": "application/geo+json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+};
+
+function parseArgs(argv) {
+  const options = { format: "mp4", fps: 30, width: 1280, viewport: "1380x800", out: null };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in options)) throw new Error(`Unknown option ${argv[i]}`);
+    options[key] = argv[i + 1];
+  }
+  options.fps = Number(options.fps);
+  options.width = Number(options.width);
+  options.out ??= `story.${options.format}`;
+  if (!["mp4", "webm", "gif"].includes(options.format)) {
+    throw new Error(`Unknown format ${options.format}`);
+  }
+  return options;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Frame server
+// ─────────────────────────────────────────────────────────────
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// Static files from dist/ ("/x/" → x/index.html), plus the /__render/
+// endpoints the page posts frames and its final status to
+function startServer({ onFrame, onDone, onError }) {
+  const server = createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (req.method === "POST" && pathname.startsWith("/__render/")) {
+      const body = await readBody(req);
+      const frame = pathname.match(/^\/__render\/frame\/(\d+)$/);
+      if (frame) onFrame(Number(frame[1]), body);
+      else if (pathname === "/__render/done") onDone(JSON.parse(body.toString()));
+      else onError(body.toString());
+      res.writeHead(204).end();
+      return;
+    }
+
+    let filePath = normalize(join(DIST_DIR, decodeURIComponent(pathname)));
+    if (!filePath.startsWith(DIST_DIR)) {
+      res.writeHead(403).end();
+      return;
+    }
+    if (existsSync(filePath) && statSync(filePath).isDirectory()) filePath = join(filePath, "index.html");
+    if (!existsSync(filePath)) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": MIME_TYPES[extname(filePath)] || "application/octet-stream" });
+    res.end(readFileSync(filePath));
+  });
+
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+// ─────────────────────────────────────────────────────────────
+// Encoding
+// ─────────────────────────────────────────────────────────────
+
+function encode({ format, fps, out }) {
+  const input = ["-y", "-framerate", String(fps), "-i", join(FRAMES_DIR, "frame-%05d.png")];
+  // H.264 and VP9 want even dimensions
+  const even = "pad=ceil(iw/2)*2:ceil(ih/2)*2:color=#f8f5f0";
+
+  const args = {
+    mp4: [...input, "-vf", even, "-c:v", "libx264", "-pix_fmt", "yuv420p", "-crf", "20", out],
+    webm: [...input, "-vf", even, "-c:v", "libvpx-vp9", "-b:v", "0", "-crf", "32", out],
+    gif: [...input, "-vf",
+      "fps=15,split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer", out],
+  }[format];
+
+  execFileSync("ffmpeg", args, { stdio: "inherit" });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!existsSync(join(DIST_DIR, "us-territorial-expansion/index.html"))) {
+    throw new Error("No build found in dist/; run `npm run build` first");
+  }
+
+  rmSync(FRAMES_DIR, { recursive: true, force: true });
+  mkdirSync(FRAMES_DIR, { recursive: true });
+
+  let settle;
+  const result = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+
+  let stallTimer = null;
+  const stall = () => {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => settle.reject(new Error("No frames for a minute; giving up")), STALL_TIMEOUT_MS);
+  };
+
+  const server = await startServer({
+    onFrame(index, png) {
+      writeFileSync(join(FRAMES_DIR, `frame-${String(index).padStart(5, "0")}.png`), png);
+      if (index % options.fps === 0) console.log(`Frame ${index}`);
+      stall();
+    },
+    onDone: settle.resolve,
+    onError: (message) => settle.reject(new Error(`The page failed to render:\n${message}`)),
+  });
+
+  const { port } = server.address();
+  const url = `http://127.0.0.1:${port}/us-territorial-expansion/` +
+    `?render=frames&renderer=svg&fps=${options.fps}&width=${options.width}`;
+  const [width, height] = options.viewport.split("x");
+
+  const browser = spawn(process.env.CHROME || "google-chrome", [
+    "--headless=new",
+    "--hide-scrollbars",
+    "--mute-audio",
+    `--window-size=${width},${height}`,
+    `--user-data-dir=${join(FRAMES_DIR, "profile")}`,
+    url,
+  ], { stdio: "ignore" });
+  browser.on("error", (error) => settle.reject(new Error(`Could not start Chrome: ${error.message}`)));
+  stall();
+
+  try {
+    const { frames, fps } = await result;
+    console.log(`Captured ${frames} frames at ${fps} fps`);
+  } finally {
+    clearTimeout(stallTimer);
+    browser.kill();
+    server.close();
+  }
+
+  encode(options);
+  rmSync(FRAMES_DIR, { recursive: true, force: true });
+  console.log(`Wrote ${options.out}`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
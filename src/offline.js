@@ -0,0 +1,87 @@
+import "./offline.css";
+
+// ─────────────────────────────────────────────────────────────
+// Offline support
+// ─────────────────────────────────────────────────────────────
+
+// Loaded by every page. Registers the service worker built from
+// src/service-worker.js (production builds only; the dev server has no
+// sw.js) and shows a small pill: briefly when the first install has saved
+// the site for offline use, and for as long as the connection is down.
+
+const SAVED_MESSAGE_MS = 4000;
+
+// Both messages are in the pill from the start, under data-i18n keys, so a
+// page with translations replaces them along with its own markup
+const MESSAGES = {
+  offline: "Offline · showing the saved copy",
+  saved: "Available offline",
+};
+
+function createIndicator() {
+  const indicator = document.createElement("div");
+  indicator.className = "offline-indicator";
+  indicator.setAttribute("role", "status");
+  indicator.hidden = true;
+  for (const [state, text] of Object.entries(MESSAGES)) {
+    const message = document.createElement("span");
+    message.dataset.message = state;
+    message.dataset.i18n = `offline.${state}`;
+    message.textContent = text;
+    indicator.appendChild(message);
+  }
+  document.body.appendChild(indicator);
+  return indicator;
+}
+
+function setupOfflineIndicator() {
+  const indicator = createIndicator();
+  let hideTimer = null;
+
+  const show = (state, duration) => {
+    clearTimeout(hideTimer);
+    for (const message of indicator.children) message.hidden = message.dataset.message !== state;
+    indicator.dataset.state = state;
+    indicator.hidden = false;
+    if (duration) hideTimer = setTimeout(() => { indicator.hidden = true; }, duration);
+  };
+
+  const update = () => {
+    if (navigator.onLine) {
+      indicator.hidden = true;
+    } else {
+      show("offline");
+    }
+  };
+
+  window.addEventListener("online", update);
+  window.addEventListener("offline", update);
+  update();
+
+  return show;
+}
+
+// A page already controlled by a worker was saved on an earlier visit, and a
+// deploy's new worker replaces the cache quietly, so only the first install
+// is announced
+function announceFirstInstall(registration, show) {
+  const worker = registration.installing;
+  if (navigator.serviceWorker.controller || !worker) return;
+
+  worker.addEventListener("statechange", () => {
+    if (worker.state === "activated" && navigator.onLine) {
+      show("saved", SAVED_MESSAGE_MS);
+    }
+  });
+}
+
+if ("serviceWorker" in navigator && import.meta.env.PROD) {
+  const show = setupOfflineIndicator();
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js")
+      .then((registration) => announceFirstInstall(registration, show))
+      .catch((error) => {
+        console.warn("[offline] service worker registration failed", error);
+      });
+  });
+}
@@ -0,0 +1,50 @@
+// Offline support for the published stories. Built into /sw.js by the
+// service-worker plugin in vite.config.js, which prepends CACHE_VERSION and
+// PRECACHE_URLS; see src/offline.js for registration.
+
+const CACHE_PREFIX = "visual-storytelling-";
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      // Bypass the HTTP cache so a deploy never precaches a stale copy
+      .then((cache) => cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: "reload" }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the caches of earlier deploys
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages: network first, so a connected visitor always sees the latest
+// deploy, falling back to the saved copy. Everything else: the saved copy
+// first (asset names are hashed, and data changes bump CACHE_VERSION).
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    // Pages are precached by directory URL ("/power-grid/")
+    const pageUrl = url.pathname.replace(/index\.html$/, "").replace(/\/?$/, "/");
+    event.respondWith(
+      fetch(request).catch(() =>
+        caches.match(pageUrl).then((cached) => cached || Response.error())
+      )
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then((cached) => cached || fetch(request))
+  );
+});
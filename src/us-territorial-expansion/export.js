@@ -0,0 +1,190 @@
+// ─────────────────────────────────────────────────────────────
+// Map image export
+// ─────────────────────────────────────────────────────────────
+
+// Turns the live #map SVG into a standalone image for slide decks: the
+// styles the stylesheet applies are copied onto each element, and the map is
+// framed with a title, a caption naming the step and the data credits.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Presentation properties the stylesheet sets on map elements
+const INLINE_PROPERTIES = [
+  "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity",
+  "stroke-dasharray", "stroke-linejoin", "stroke-linecap", "opacity",
+  "font-family", "font-size", "font-weight", "font-style", "letter-spacing",
+  "text-anchor", "dominant-baseline", "paint-order",
+];
+
+const PADDING = 24;
+const TITLE_SIZE = 22;
+const CAPTION_SIZE = 14;
+const CREDIT_SIZE = 10;
+const HEADER_HEIGHT = PADDING + TITLE_SIZE + 8 + CAPTION_SIZE + 16;
+const FONT_FAMILY = "Inter, system-ui, sans-serif";
+const TITLE_FONT_FAMILY = "'Playfair Display', Georgia, serif";
+
+function hidden(style) {
+  return style.display === "none" || style.visibility === "hidden" || style.opacity === "0";
+}
+
+// Copy computed styles from the live tree onto the clone, dropping whatever
+// isn't drawn (hidden layers, labels outside the view). Values a child
+// would inherit anyway are left out; opacity doesn't inherit, so it is only
+// left out at its default.
+function inlineStyles(source, clone, parentStyle = null) {
+  const style = getComputedStyle(source);
+  const declarations = INLINE_PROPERTIES
+    .map((property) => [property, style.getPropertyValue(property)])
+    .filter(([property, value]) => value && (property === "opacity"
+      ? value !== "1"
+      : value !== parentStyle?.getPropertyValue(property)))
+    .map(([property, value]) => `${property}: ${value}`);
+  if (declarations.length) clone.setAttribute("style", declarations.join("; "));
+  clone.removeAttribute("class");
+
+  const sourceChildren = Array.from(source.children);
+  const cloneChildren = Array.from(clone.children);
+  sourceChildren.forEach((child, i) => {
+    if (child.tagName.toLowerCase() !== "defs" && hidden(getComputedStyle(child))) {
+      cloneChildren[i].remove();
+    } else {
+      inlineStyles(child, cloneChildren[i], style);
+    }
+  });
+}
+
+function text(parent, content, attributes) {
+  const el = parent.ownerDocument.createElementNS(SVG_NS, "text");
+  for (const [name, value] of Object.entries(attributes)) el.setAttribute(name, value);
+  el.textContent = content;
+  parent.appendChild(el);
+  return el;
+}
+
+// A live map SVG, styles inlined, placed at (0, top) and cropped to `viewBox`
+function cloneMap(svgEl, top, [x, y, width, height]) {
+  const map = svgEl.cloneNode(true);
+  inlineStyles(svgEl, map);
+  map.removeAttribute("style");
+  map.removeAttribute("id");
+  map.removeAttribute("role");
+  map.removeAttribute("aria-label");
+  map.removeAttribute("aria-describedby");
+  map.removeAttribute("aria-hidden");
+  map.setAttribute("x", 0);
+  map.setAttribute("y", top);
+  map.setAttribute("width", width);
+  map.setAttribute("height", height);
+  map.setAttribute("viewBox", `${x} ${y} ${width} ${height}`);
+  return map;
+}
+
+// Standalone SVG markup for the map. `viewBox` is the part of the map to
+// keep ([x, y, width, height] in map coordinates); `credits` is a list of
+// lines printed under it. `compare` ({ svgEl, splitX }) lays a second map
+// over the first, right of a divider at `splitX` in map coordinates, as the
+// comparison page shows it.
+export function serializeMap(svgEl, { title, caption, credits = [], viewBox, compare, background = "#f8f5f0" }) {
+  const [x, y, width, height] = viewBox;
+  const footerHeight = PADDING + credits.length * (CREDIT_SIZE + 4);
+  const totalHeight = HEADER_HEIGHT + height + footerHeight;
+
+  const doc = svgEl.ownerDocument;
+  const root = doc.createElementNS(SVG_NS, "svg");
+  root.setAttribute("width", width);
+  root.setAttribute("height", totalHeight);
+  root.setAttribute("viewBox", `0 0 ${width} ${totalHeight}`);
+
+  const titleEl = doc.createElementNS(SVG_NS, "title");
+  titleEl.textContent = `${title}: ${caption}`;
+  root.appendChild(titleEl);
+
+  const backdrop = doc.createElementNS(SVG_NS, "rect");
+  backdrop.setAttribute("width", width);
+  backdrop.setAttribute("height", totalHeight);
+  backdrop.setAttribute("fill", background);
+  root.appendChild(backdrop);
+
+  text(root, title, {
+    x: PADDING, y: PADDING + TITLE_SIZE,
+    "font-family": TITLE_FONT_FAMILY, "font-size": TITLE_SIZE, "font-weight": 700, fill: "#2a2d34",
+  });
+  text(root, caption, {
+    x: PADDING, y: PADDING + TITLE_SIZE + 8 + CAPTION_SIZE,
+    "font-family": FONT_FAMILY, "font-size": CAPTION_SIZE, fill: "#6b6e75",
+  });
+
+  // The map itself, cropped to the view box
+  root.appendChild(cloneMap(svgEl, HEADER_HEIGHT, viewBox));
+
+  if (compare) {
+    const overlay = cloneMap(compare.svgEl, HEADER_HEIGHT, viewBox);
+    // Its patterns are the first map's, under the same ids
+    overlay.querySelector("defs")?.remove();
+
+    const clip = doc.createElementNS(SVG_NS, "clipPath");
+    clip.setAttribute("id", "export-compare-clip");
+    const clipRect = doc.createElementNS(SVG_NS, "rect");
+    clipRect.setAttribute("x", compare.splitX);
+    clipRect.setAttribute("y", y);
+    clipRect.setAttribute("width", Math.max(0, x + width - compare.splitX));
+    clipRect.setAttribute("height", height);
+    clip.appendChild(clipRect);
+
+    const group = doc.createElementNS(SVG_NS, "g");
+    group.setAttribute("clip-path", "url(#export-compare-clip)");
+    group.append(...overlay.childNodes);
+    overlay.append(clip, group);
+    root.appendChild(overlay);
+
+    const divider = doc.createElementNS(SVG_NS, "line");
+    const dividerX = compare.splitX - x;
+    divider.setAttribute("x1", dividerX);
+    divider.setAttribute("x2", dividerX);
+    divider.setAttribute("y1", HEADER_HEIGHT);
+    divider.setAttribute("y2", HEADER_HEIGHT + height);
+    divider.setAttribute("stroke", "#2a2d34");
+    divider.setAttribute("stroke-width", 2);
+    root.appendChild(divider);
+  }
+
+  credits.forEach((line, i) => {
+    text(root, line, {
+      x: PADDING, y: HEADER_HEIGHT + height + PADDING / 2 + (i + 1) * (CREDIT_SIZE + 4),
+      "font-family": FONT_FAMILY, "font-size": CREDIT_SIZE, fill: "#6b6e75",
+    });
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(root)}`;
+}
+
+// Draw serialized SVG onto a canvas `pixelWidth` wide and encode it as PNG.
+// A data URL (rather than a blob URL) keeps Safari from tainting the canvas.
+export function rasterizeSvg(markup, pixelWidth) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const scale = pixelWidth / image.width;
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      const ctx = canvas.getContext("2d");
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+    };
+    image.onerror = () => reject(new Error("could not render the SVG"));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+  });
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,145 @@
+import * as d3 from "d3";
+import en from "./locales/en.json";
+
+// ─────────────────────────────────────────────────────────────
+// Localisation
+// ─────────────────────────────────────────────────────────────
+
+// Interface strings and number and date formats for each locale live in
+// locales/<code>.json. English is bundled; the others are fetched when first
+// picked. The story text itself is translated in story.<code>.json next to
+// story.json (see loadStory() in story.js).
+//
+// Text in index.html is English to start with: elements carry the key of
+// their translation in data-i18n (text), data-i18n-html (markup) or
+// data-i18n-<attribute>, and translatePage() swaps it in.
+
+export const LOCALES = { en: "English", es: "Español", fr: "Français" };
+const DEFAULT_LOCALE = "en";
+const STORAGE_KEY = "us-territorial-expansion:locale";
+
+const TRANSLATIONS = import.meta.glob(["./locales/*.json", "!./locales/en.json"], { import: "default" });
+
+let locale = DEFAULT_LOCALE;
+let strings = en.strings;
+let formats = buildFormats(en);
+
+// "$" in a d3 specifier is the US dollar as the locale writes it; the
+// millions and cents variants fold the unit in ("$15M", "15 M$ US", "3¢")
+function buildFormats({ number, time }) {
+  return {
+    number: d3.formatLocale(number),
+    millions: d3.formatLocale({ ...number, currency: number.currencyMillions }),
+    cents: d3.formatLocale({ ...number, currency: number.currencyCents }),
+    time: d3.timeFormatLocale(time),
+  };
+}
+
+function storedLocale() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null; // Storage unavailable (private mode)
+  }
+}
+
+// ?lang= first (shared links), then the last choice, then the browser's
+function preferredLocale() {
+  const candidates = [
+    new URLSearchParams(location.search).get("lang"),
+    storedLocale(),
+    ...(navigator.languages || []),
+  ];
+  return candidates
+    .map((code) => code?.slice(0, 2).toLowerCase())
+    .find((code) => code in LOCALES) || DEFAULT_LOCALE;
+}
+
+export async function loadLocale(code = preferredLocale()) {
+  if (code !== DEFAULT_LOCALE) {
+    try {
+      const data = await TRANSLATIONS[`./locales/${code}.json`]();
+      strings = { ...en.strings, ...data.strings };
+      formats = buildFormats(data);
+      locale = code;
+    } catch (error) {
+      // Carry on in English
+      console.warn(`[i18n] could not load the "${code}" strings`, error);
+    }
+  }
+  document.documentElement.lang = locale;
+  return locale;
+}
+
+export function currentLocale() {
+  return locale;
+}
+
+// The string for `key` with {name} placeholders filled from `params`
+export function t(key, params = {}) {
+  const template = strings[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Text that comes in English with the map data (a country name, a price
+// note): its translation, if the locale has one, under "data:<text>"
+export function translateData(text) {
+  return strings[`data:${text}`] ?? text;
+}
+
+export function format(specifier, unit) {
+  return (unit ? formats[unit] : formats.number).format(specifier);
+}
+
+// Dates in the data are calendar days ("1803-04-30"), read as UTC midnight,
+// so they are printed in UTC too or they slip a day west of Greenwich
+export function utcFormat(specifier) {
+  return formats.time.utcFormat(specifier);
+}
+
+// "1st", "1.º", "1er": the ordinal.<category> string for the locale's rule
+export function ordinal(n) {
+  const category = new Intl.PluralRules(locale, { type: "ordinal" }).select(n);
+  return t(strings[`ordinal.${category}`] ? `ordinal.${category}` : "ordinal.other", { n });
+}
+
+// Markup strings exist only in the translations, so English pages keep the
+// text they were written with
+export function translatePage(root = document) {
+  for (const el of root.querySelectorAll("[data-i18n]")) {
+    if (el.dataset.i18n in strings) el.textContent = strings[el.dataset.i18n];
+  }
+  for (const el of root.querySelectorAll("[data-i18n-html]")) {
+    if (el.dataset.i18nHtml in strings) el.innerHTML = strings[el.dataset.i18nHtml];
+  }
+  for (const attribute of ["aria-label", "title"]) {
+    for (const el of root.querySelectorAll(`[data-i18n-${attribute}]`)) {
+      const key = el.getAttribute(`data-i18n-${attribute}`);
+      if (key in strings) el.setAttribute(attribute, strings[key]);
+    }
+  }
+}
+
+// Switching reloads the page in the new language, keeping the page it is on
+export function setupLanguageSwitcher(select) {
+  if (!select) return;
+  select.replaceChildren(...Object.entries(LOCALES).map(([code, name]) => {
+    const option = document.createElement("option");
+    option.value = code;
+    option.lang = code;
+    option.textContent = name;
+    return option;
+  }));
+  select.value = locale;
+
+  select.addEventListener("change", () => {
+    try {
+      localStorage.setItem(STORAGE_KEY, select.value);
+    } catch {
+      // The ?lang= parameter still carries it for this visit
+    }
+    const url = new URL(location.href);
+    url.searchParams.set("lang", select.value);
+    location.assign(url);
+  });
+}
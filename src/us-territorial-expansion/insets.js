@@ -0,0 +1,151 @@
+import * as d3 from "d3";
+
+// ─────────────────────────────────────────────────────────────
+// Composite projection with inset boxes
+// ─────────────────────────────────────────────────────────────
+
+// In the spirit of d3.geoAlbersUsa: a main projection for the mainland plus
+// small boxes for far-flung territories. Unlike geoAlbersUsa the main
+// projection keeps its own scale/translate (the story zooms it), while the
+// insets are laid out in screen space and can be switched off entirely.
+//
+// Geometry is routed polygon by polygon: a polygon (or line) whose points all
+// fall inside an inset's lon/lat bounds is drawn by that inset, everything
+// else by the main projection. Polygons inside a hidden inset are dropped, so
+// e.g. the Philippines never wraps around the main map.
+
+function insetProjection(bounds, extent) {
+  const [[west, south], [east, north]] = bounds;
+  const [[x0, y0], [x1, y1]] = extent;
+  const pad = Math.min(x1 - x0, y1 - y0) * 0.1;
+
+  return d3.geoAzimuthalEqualArea()
+    .rotate([-(west + east) / 2, -(south + north) / 2])
+    .fitExtent([[x0 + pad, y0 + pad * 2], [x1 - pad, y1 - pad]], {
+      type: "MultiPoint",
+      coordinates: [[west, south], [east, south], [east, north], [west, north]],
+    })
+    .clipExtent(extent);
+}
+
+function contains([[west, south], [east, north]], [lon, lat]) {
+  return lon >= west && lon <= east && lat >= south && lat <= north;
+}
+
+export function geoCompositeInsets(main) {
+  let regions = []; // every inset's bounds, whether or not it is shown
+  let insets = []; // { id, bounds, extent, projection } for the shown ones
+
+  function regionFor(point) {
+    return regions.find((region) => contains(region.bounds, point));
+  }
+
+  function insetFor(point) {
+    const region = regionFor(point);
+    return region && insets.find((inset) => inset.id === region.id);
+  }
+
+  function composite(point) {
+    const inset = insetFor(point);
+    return (inset ? inset.projection : main)(point);
+  }
+
+  composite.invert = (point) => {
+    const inset = insets.find(({ extent: [[x0, y0], [x1, y1]] }) =>
+      point[0] >= x0 && point[0] <= x1 && point[1] >= y0 && point[1] <= y1
+    );
+    return (inset ? inset.projection : main).invert(point);
+  };
+
+  composite.stream = (stream) => {
+    const mainStream = main.stream(stream);
+    const insetStreams = new Map(insets.map((inset) => [inset.id, inset.projection.stream(stream)]));
+
+    // Where a buffered polygon or line goes: the main stream, an inset's
+    // stream, or nowhere (inside an inset that is switched off)
+    const target = (points) => {
+      const region = regionFor(points[0]);
+      if (!region || !points.every((p) => contains(region.bounds, p))) return mainStream;
+      return insetStreams.get(region.id) || null;
+    };
+
+    let calls = null; // buffered [method, args] while inside a polygon or line
+    let points = [];
+    let depth = 0;
+
+    const flush = () => {
+      const out = points.length ? target(points) : mainStream;
+      if (out) calls.forEach(([method, args]) => out[method](...args));
+      calls = null;
+      points = [];
+    };
+
+    return {
+      point(x, y, z) {
+        if (calls) {
+          points.push([x, y]);
+          calls.push(["point", [x, y, z]]);
+          return;
+        }
+        const region = regionFor([x, y]);
+        const out = region ? insetStreams.get(region.id) : mainStream;
+        if (out) out.point(x, y, z);
+      },
+      lineStart() {
+        if (!calls) calls = [];
+        depth++;
+        calls.push(["lineStart", []]);
+      },
+      lineEnd() {
+        calls.push(["lineEnd", []]);
+        if (--depth === 0) flush();
+      },
+      polygonStart() {
+        calls = [];
+        depth++;
+        calls.push(["polygonStart", []]);
+      },
+      polygonEnd() {
+        calls.push(["polygonEnd", []]);
+        if (--depth === 0) flush();
+      },
+      sphere() {
+        mainStream.sphere();
+      },
+    };
+  };
+
+  composite.scale = (...args) => {
+    if (!args.length) return main.scale();
+    main.scale(...args);
+    return composite;
+  };
+
+  composite.translate = (...args) => {
+    if (!args.length) return main.translate();
+    main.translate(...args);
+    return composite;
+  };
+
+  // All inset regions: [{ id, bounds: [[west, south], [east, north]] }]
+  composite.regions = (...args) => {
+    if (!args.length) return regions;
+    regions = args[0];
+    return composite;
+  };
+
+  // Shown insets: [{ id, extent: [[x0, y0], [x1, y1]] }] in screen space, or
+  // null/[] to hide them all
+  composite.insets = (...args) => {
+    if (!args.length) return insets;
+    insets = (args[0] || []).map(({ id, extent }) => {
+      const { bounds } = regions.find((region) => region.id === id);
+      return { id, bounds, extent, projection: insetProjection(bounds, extent) };
+    });
+    return composite;
+  };
+
+  composite.insetFor = insetFor;
+
+  return composite;
+}
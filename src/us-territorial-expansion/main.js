@@ -1,5 +1,15 @@
 import * as d3 from "d3";
 import * as topojson from "topojson-client";
+import { loadStory, validateStory, renderStoryPages, speakerNotes } from "./story.js";
+import { geoCompositeInsets } from "./insets.js";
+import {
+  acquisitionStat, acquisitionSummary, formatArea, featureAreaSqMi, formatPopulation, compareArea,
+} from "./stats.js";
+import { serializeMap, rasterizeSvg, downloadBlob } from "./export.js";
+import { PRESENTER_CHANNEL, startPresenterView } from "./presenter.js";
+import {
+  loadLocale, currentLocale, t, translateData, format, utcFormat, ordinal, translatePage, setupLanguageSwitcher,
+} from "./i18n.js";
 
 // ─────────────────────────────────────────────────────────────
 // Colors
@@ -12,20 +22,8 @@ const ESTABLISHED_COLOR = "#b8c4d0";
 const CONTEXT_COLOR = "#e8e4dc";
 
 // Per-acquisition "candy" colors - highlight color for current step
-const ERA_COLORS = {
-  original: "#e63946",   // Red
-  louisiana: "#f4a261",  // Orange
-  redriver: "#e9c46a",   // Yellow
-  florida: "#2a9d8f",    // Teal
-  texas: "#264653",      // Dark blue
-  oregon: "#8338ec",     // Purple
-  mexican: "#ff006e",    // Pink
-  gadsden: "#fb5607",    // Bright orange
-  alaska: "#3a86ff",     // Blue
-  hawaii: "#06d6a0",     // Green
-  pacific: "#06d6a0",    // Green (same as Hawaii)
-  modern: ESTABLISHED_COLOR,
-};
+// Populated from story.json by applyStory()
+const ERA_COLORS = {};
 
 // Ocean/background - handled by CSS
 
@@ -33,97 +31,48 @@ const ERA_COLORS = {
 // Map step definitions
 // ─────────────────────────────────────────────────────────────
 
-// Zoom level definitions - relative scale and center offset from full view
+// Zoom level definitions - relative scale and center offset from full view,
+// plus the geometry tier (scripts/build-geometry-tiers.js) worth drawing there
 const ZOOM_LEVELS = {
   // Eastern US - original colonies through Louisiana Purchase and Florida
   // Scale multiplier relative to full view, center offset [lon, lat] from map center
-  east: { scale: 2.5, centerOffset: [8, 3] },
+  east: { scale: 2.5, centerOffset: [8, 3], detail: "high" },
   // Continental US - includes Texas, Oregon, Mexican cession, Gadsden
-  continental: { scale: 1.7, centerOffset: [5, 3] },
-  // With Alaska - need to show the northwest
-  alaska: { scale: 1.3, centerOffset: [-8, 10] },
+  continental: { scale: 1.7, centerOffset: [5, 3], detail: "medium" },
+  // With Alaska - need to show the northwest; the east coast runs to the
+  // right edge here, so only the Pacific insets fit
+  alaska: { scale: 1.3, centerOffset: [-8, 10], insets: ["pacific"], detail: "low" },
   // Full Americas - Greenland, Canada, Panama for modern rhetoric
-  full: { scale: 1.0, centerOffset: [0, 0] },
+  full: { scale: 1.0, centerOffset: [0, 0], insets: ["pacific", "caribbean"], detail: "low" },
 };
 
-const MAP_STEPS = [
-  { year: "1783", file: "1789-original-states.geojson", era: "original", zoom: "east" },
-  { year: "1803", file: "1803-louisiana-purchase.geojson", era: "louisiana", zoom: "east" },
-  { year: "1818", file: "1818-red-river-basin.geojson", era: "redriver", zoom: "east" },
-  { year: "1819", file: "1819-florida.geojson", era: "florida", zoom: "east" },
-  { year: "1845", file: "1845-texas.geojson", era: "texas", zoom: "continental" },
-  { year: "1846", file: "1846-oregon.geojson", era: "oregon", zoom: "continental" },
-  { year: "1848", file: "1848-mexican-cession.geojson", era: "mexican", zoom: "continental" },
-  { year: "1853", file: "1853-gadsden.geojson", era: "gadsden", zoom: "continental" },
-  { year: "1867", file: "1867-alaska.geojson", era: "alaska", zoom: "alaska" },
-  { year: "1898", file: "1898-spanish-american-war.geojson", era: "hawaii", zoom: "alaska" },
-  { year: "1899–1959", file: "1900-samoa.geojson", era: "pacific", zoom: "full" },
-  { year: "2025–26", file: "1959-final.geojson", era: "modern", zoom: "full" },
+// Overseas territory insets - lon/lat bounds of what each box shows, and
+// which edge of the map it docks to (Pacific bottom-left, Caribbean right)
+const INSETS = [
+  { id: "hawaii", name: "Hawaii", bounds: [[-160.6, 18.6], [-154.5, 22.5]], dock: "pacific" },
+  { id: "philippines", name: "Philippines", bounds: [[116.5, 4.5], [127, 21.5]], dock: "pacific" },
+  { id: "guam", name: "Guam", bounds: [[144.4, 13.1], [145.2, 13.8]], dock: "pacific" },
+  { id: "samoa", name: "American Samoa", bounds: [[-171.2, -14.6], [-169.2, -13.9]], dock: "pacific" },
+  { id: "puertorico", name: "Puerto Rico", bounds: [[-68.1, 17.7], [-65.1, 18.7]], dock: "caribbean" },
+  { id: "canalzone", name: "Canal Zone", bounds: [[-80.3, 8.6], [-79.2, 9.6]], dock: "caribbean" },
 ];
 
-// Modern expansion rhetoric targets - coordinates for question mark labels
-// These appear on the final "Modern Rhetoric" slide (step 11)
-const RHETORIC_TARGETS = [
-  { name: "Greenland", lat: 72, lon: -40 },
-  { name: "Canada", lat: 56, lon: -106 },
-  { name: "Panama", lat: 9, lon: -80 },
-];
+// Story steps, rhetoric targets, overview labels and footnotes all come from
+// public/data/us-territorial-expansion/story.json (see story.js)
+let MAP_STEPS = []; // populated on init
+
+// Modern expansion rhetoric targets - coordinates for question mark labels,
+// the country to hatch and a quote. These appear on the final "Modern
+// Rhetoric" slide
+let RHETORIC_TARGETS = [];
+let US_POPULATION = null; // { count, year }, for the targets' population
 
 // Acquisition labels for overview map - approximate centroid positions
-const ACQUISITION_LABELS = [
-  { era: "original", year: "1783", lat: 38, lon: -79, name: "Treaty of Paris", detail: "Original 13 colonies + land to Mississippi" },
-  { era: "louisiana", year: "1803", lat: 42, lon: -100, name: "Louisiana Purchase", detail: "$15M · 828,000 sq mi · 3¢/acre" },
-  { era: "redriver", year: "1818", lat: 48.5, lon: -97, name: "Red River Basin", detail: "Convention of 1818 with Britain" },
-  { era: "florida", year: "1819", lat: 28.5, lon: -82.5, name: "Florida", detail: "Adams–Onís Treaty · $5M in claims" },
-  { era: "texas", year: "1845", lat: 31.5, lon: -99.5, name: "Texas Annexation", detail: "Former Republic of Texas · 389,000 sq mi" },
-  { era: "oregon", year: "1846", lat: 45.5, lon: -120, name: "Oregon Treaty", detail: "British cession at 49th parallel" },
-  { era: "mexican", year: "1848", lat: 36, lon: -117, name: "Mexican Cession", detail: "$15M · 525,000 sq mi" },
-  { era: "gadsden", year: "1853", lat: 32, lon: -110.5, name: "Gadsden Purchase", detail: "$10M · 30,000 sq mi" },
-  { era: "alaska", year: "1867", lat: 64, lon: -152, name: "Alaska Purchase", detail: "$7.2M · 586,000 sq mi · 2¢/acre" },
-  { era: "hawaii", year: "1898", lat: 21, lon: -157, name: "Hawaii", detail: "Annexed during Spanish-American War" },
-];
+let ACQUISITION_LABELS = [];
 
 // Expandable side-story footnotes — inline affordances that open a
 // slide-in panel with a short explanation and an optional mini-map.
-const FOOTNOTES = {
-  vermont: {
-    title: "Vermont\u2019s Quasi-Independence",
-    year: "1777\u20131791",
-    paragraphs: [
-      "In 1777, settlers between the Connecticut River and Lake Champlain declared independence\u2009\u2014\u2009not just from Britain, but from New York and New Hampshire, both of which claimed the territory. The resulting Vermont Republic adopted its own constitution, the first in America to partially abolish slavery.",
-      "For 14 years Vermont operated as a de facto nation with its own currency, postal service, and foreign policy. It even flirted with rejoining the British Empire during the so-called Haldimand Affair.",
-      "Vermont finally joined the Union in 1791 as the 14th state\u2009\u2014\u2009the first admitted beyond the original thirteen.",
-    ],
-    // Mini-map: bounding box [SW, NE] to zoom into, marker to highlight
-    mapBounds: [[-76.5, 41.0], [-69.0, 46.5]],
-    mapMarker: { lon: -72.6, lat: 44.0, label: "Vermont" },
-    mapStep: 0, // Color territories as of this acquisition step
-    // Highlight a US state outline (FIPS id from us-states-10m.json)
-    highlightStateId: "50", // Vermont
-  },
-};
-
-// Context country IDs from Natural Earth (for filtering TopoJSON)
-const CONTEXT_COUNTRY_IDS = [
-  // North America
-  124, // Canada
-  484, // Mexico
-  304, // Greenland
-  // Central America
-  84,  // Belize
-  320, // Guatemala
-  340, // Honduras
-  222, // El Salvador
-  558, // Nicaragua
-  188, // Costa Rica
-  591, // Panama
-  // Caribbean
-  44,  // Bahamas
-  192, // Cuba
-  388, // Jamaica
-  332, // Haiti
-  214, // Dominican Republic
-];
+let FOOTNOTES = {};
 
 const CATEGORY_CLASS = {
   state: "map-state",
@@ -134,7 +83,25 @@ const CATEGORY_CLASS = {
   seceded_state: "map-seceded",
 };
 
+// Categories drawn by the historical boundaries layer, in legend order, with
+// the key of their legend label
+const BOUNDARY_LABELS = {
+  state: "boundaries.state",
+  territory: "boundaries.territory",
+  disputed: "boundaries.disputed",
+  seceded_state: "boundaries.seceded_state",
+};
+
 const DESKTOP_BREAKPOINT = 900;
+const STORY_PANEL_WIDTH = 480; // desktop story panel, over the left of the map
+
+// Explore mode - year slider range and pacing
+const EXPLORE_START_YEAR = 1776;
+const EXPLORE_END_YEAR = 1959;
+const EXPLORE_YEAR_STEP = 0.5;     // Slider resolution and play increment
+const EXPLORE_TICK_MS = 60;        // Play speed: one increment per tick
+const EXPLORE_FADE_IN_YEARS = 2;   // Context → candy color after acquisition
+const EXPLORE_SETTLE_YEARS = 10;   // Candy → established color afterwards
 
 // ─────────────────────────────────────────────────────────────
 // State
@@ -142,8 +109,12 @@ const DESKTOP_BREAKPOINT = 900;
 
 let geoDataByStep = [];
 let acquisitionsData = null;
+let overseasData = null; // territories drawn in the insets (overseas-territories.geojson)
 let contextCountries = null;
-let usStates = null; // US state boundaries for footnote mini-maps
+let usStates = null; // US state boundaries for footnote mini-maps and statehood
+let statehoodById = new Map(); // FIPS id → admission record from statehood.json
+let cessionsData = null; // Indigenous land cessions (land-cessions.geojson)
+let claimsData = null; // unrealised claims (claims.geojson)
 let currentPage = 0;
 let totalPages = 0;
 let pageElements = [];
@@ -152,6 +123,14 @@ let touchStartY = 0;
 let currentMapStep = -1;
 let currentZoomLevel = null;
 let isZooming = false;
+let isExploring = false;
+let exploreYear = EXPLORE_START_YEAR;
+let exploreTimer = null;
+let showBoundaries = false;
+let showStatehood = false;
+let showCessions = false;
+let showClaims = false;
+let boundariesSnapshot = -1; // geoDataByStep index drawn in the boundaries layer
 
 // ─────────────────────────────────────────────────────────────
 // D3 setup - North America projection
@@ -159,11 +138,14 @@ let isZooming = false;
 
 // Use Conic Equal Area projection that can show North America,
 // Central America, Caribbean, and Greenland
-const projection = d3.geoConicEqualArea()
+const mainProjection = d3.geoConicEqualArea()
   .parallels([20, 50])      // Wider parallels for extended latitude range
   .rotate([90, 0])          // Center longitude (shifted east to include Caribbean)
   .center([0, 35]);         // Center latitude (shifted south for Central America)
 
+// Overseas territories are routed into inset boxes (see insets.js)
+const projection = geoCompositeInsets(mainProjection).regions(INSETS);
+
 const path = d3.geoPath().projection(projection);
 
 // Store base dimensions for viewBox
@@ -173,6 +155,57 @@ let baseHeight = 0;
 // Store projection parameters for each zoom level (calculated on resize)
 let zoomProjections = {};
 
+// ─────────────────────────────────────────────────────────────
+// Motion policy
+// ─────────────────────────────────────────────────────────────
+
+// Every map transition goes through here. With reduced motion (the system
+// setting, unless the motion toggle overrides it) zooms cut instantly and
+// colour fades shorten to a brief cross-fade. CSS follows the same policy
+// via :root[data-motion="reduce"].
+const REDUCED_MOTION_FADE_MS = 150;
+const MOTION_STORAGE_KEY = "us-territorial-expansion:motion";
+const reducedMotionQuery = window.matchMedia("(prefers-reduced-motion: reduce)");
+let motionOverride = null; // "reduce" | "full" from the toggle, or null to follow the system
+
+function reducedMotion() {
+  return motionOverride ? motionOverride === "reduce" : reducedMotionQuery.matches;
+}
+
+function motionDuration(ms) {
+  return reducedMotion() ? Math.min(ms, REDUCED_MOTION_FADE_MS) : ms;
+}
+
+function applyMotionPolicy() {
+  const reduce = reducedMotion();
+  document.documentElement.dataset.motion = reduce ? "reduce" : "full";
+  document.getElementById("toggle-motion")?.setAttribute("aria-pressed", String(reduce));
+  freeZoom?.behavior.duration(freeZoomDuration());
+}
+
+function setupMotion() {
+  try {
+    motionOverride = localStorage.getItem(MOTION_STORAGE_KEY);
+  } catch {
+    // Storage unavailable (private mode); the toggle still works per visit
+  }
+
+  reducedMotionQuery.addEventListener?.("change", applyMotionPolicy);
+
+  document.getElementById("toggle-motion")?.addEventListener("click", (e) => {
+    e.stopPropagation();
+    motionOverride = reducedMotion() ? "full" : "reduce";
+    try {
+      localStorage.setItem(MOTION_STORAGE_KEY, motionOverride);
+    } catch {
+      // See above
+    }
+    applyMotionPolicy();
+  });
+
+  applyMotionPolicy();
+}
+
 // ─────────────────────────────────────────────────────────────
 // Zoom level calculations
 // ─────────────────────────────────────────────────────────────
@@ -181,7 +214,7 @@ function calculateZoomProjections(geoData) {
   const width = window.innerWidth;
   const height = window.innerHeight;
   const desktop = isDesktop();
-  const panelWidth = desktop ? 480 : 0;
+  const panelWidth = desktop ? STORY_PANEL_WIDTH : 0;
   const mapWidth = width - panelWidth;
 
   // First, calculate the base "full" projection that fits all features
@@ -242,24 +275,60 @@ function calculateZoomProjections(geoData) {
 
     zoomProjections[key] = {
       scale: newScale,
-      translate: [newTranslateX, newTranslateY]
+      translate: [newTranslateX, newTranslateY],
+      insets: config.insets ? layoutInsets(config.insets, desktop ? panelWidth : 0, width, height) : null
     };
   }
 }
 
+// Screen boxes for the overseas insets on the given docks: Pacific ones in a
+// 2-column grid at the bottom-left of the map area, Caribbean ones stacked on
+// the right above the layer controls. Both stay clear of the timeline.
+function layoutInsets(docks, viewLeft, viewRight, height) {
+  const size = Math.round(Math.max(64, Math.min(120, Math.min(viewRight - viewLeft, height) / 7)));
+  const gap = 8;
+  const margin = 16;
+  const bottom = height - 88;
+
+  const docked = (dock) => (docks.includes(dock) ? INSETS.filter((inset) => inset.dock === dock) : []);
+  const pacific = docked("pacific");
+  const caribbean = docked("caribbean");
+  const pacificRows = Math.ceil(pacific.length / 2);
+
+  const box = (x, y) => [[x, y], [x + size, y + size]];
+  return [
+    ...pacific.map(({ id }, i) => ({
+      id,
+      extent: box(
+        viewLeft + margin + (i % 2) * (size + gap),
+        bottom - pacificRows * size - (pacificRows - 1) * gap + Math.floor(i / 2) * (size + gap)
+      ),
+    })),
+    ...caribbean.map(({ id }, i) => ({
+      id,
+      extent: box(
+        viewRight - margin - size,
+        bottom - 80 - (caribbean.length - i) * (size + gap)
+      ),
+    })),
+  ];
+}
+
 function applyZoomLevel(zoomLevel, animate = false, duration = 800) {
   if (!zoomProjections[zoomLevel]) return;
 
   const targetParams = zoomProjections[zoomLevel];
   const svg = d3.select("#map");
 
-  if (!animate || currentZoomLevel === null) {
+  if (!animate || reducedMotion() || currentZoomLevel === null) {
     // Instant application
     projection.scale(targetParams.scale);
     projection.translate(targetParams.translate);
+    projection.insets(targetParams.insets);
     path.projection(projection);
     updateAllPaths(svg, 0);
     currentZoomLevel = zoomLevel;
+    refineGeometrySoon();
     return;
   }
 
@@ -273,6 +342,12 @@ function applyZoomLevel(zoomLevel, animate = false, duration = 800) {
 
   isZooming = true;
 
+  // Insets are laid out in screen space, so they switch rather than tween
+  projection.insets(targetParams.insets);
+
+  const onCanvas = canvasZoom && canvasContext;
+  if (onCanvas) startCanvasZoom(svg);
+
   d3.transition()
     .duration(duration)
     .ease(d3.easeCubicInOut)
@@ -284,12 +359,22 @@ function applyZoomLevel(zoomLevel, animate = false, duration = 800) {
         projection.scale(scaleInterp(t));
         projection.translate(translateInterp(t));
         path.projection(projection);
-        updateAllPaths(svg, 0);
+        if (onCanvas) {
+          drawCanvasFrame(svg);
+          updateLabelPositions(svg);
+        } else {
+          updateAllPaths(svg, 0);
+        }
       };
     })
     .on("end", () => {
       isZooming = false;
       currentZoomLevel = zoomLevel;
+      if (onCanvas) endCanvasZoom(svg);
+      refineGeometrySoon();
+    })
+    .on("interrupt", () => {
+      if (onCanvas) endCanvasZoom(svg);
     });
 
   currentZoomLevel = zoomLevel;
@@ -301,18 +386,232 @@ function updateAllPaths(svg, duration = 0) {
     .selectAll(".context-country")
     .attr("d", path);
 
-  // Update acquisitions
+  // Update inset boxes, then acquisitions and overseas territories
+  updateInsetFrames(svg);
+
   svg.select(".layer-acquisitions")
-    .selectAll(".acquisition")
+    .selectAll(".acquisition, .overseas")
+    .attr("d", path);
+
+  // Update statehood outlines and land cessions
+  svg.selectAll(".layer-statehood path, .layer-cessions path")
+    .attr("d", path);
+
+  // Update historical state/territory boundaries
+  svg.select(".layer-boundaries")
+    .selectAll("path")
     .attr("d", path);
 
-  // Update label positions
+  updateLabelPositions(svg);
+
+  // The comparison map shares the projection
+  if (compareSteps && svg.attr("id") === "map") updateAllPaths(d3.select("#map-compare"), duration);
+}
+
+function updateLabelPositions(svg) {
   RHETORIC_TARGETS.forEach((target) => {
     const [x, y] = projection([target.lon, target.lat]);
     svg.select(`.rhetoric-label-${target.name.toLowerCase()}`)
       .attr("x", x)
       .attr("y", y);
   });
+
+  // Acquisition labels follow the zoom (and Hawaii's into its inset);
+  // skip those outside the visible area
+  svg.select(".layer-labels")
+    .selectAll(".acquisition-label")
+    .each(function (label) {
+      const [x, y] = projection([label.lon, label.lat]);
+      const outside = x < 0 || x > baseWidth || y < 0 || y > baseHeight;
+      d3.select(this)
+        .attr("x", x)
+        .attr("y", y)
+        .attr("display", outside ? "none" : null);
+    });
+}
+
+// Frame, label and neighbouring context for each inset that is shown
+const insetContextDrawn = d3.local();
+
+function updateInsetFrames(svg) {
+  const insets = svg.select(".layer-insets")
+    .selectAll(".inset")
+    .data(projection.insets(), (d) => d.id)
+    .join((enter) => {
+      const g = enter.append("g").attr("class", (d) => `inset inset-${d.id}`);
+      g.append("rect").attr("class", "inset-frame").attr("rx", 4);
+      g.append("g").attr("class", "inset-context");
+      g.append("text")
+        .attr("class", "inset-label")
+        .text((d) => translateData(INSETS.find((inset) => inset.id === d.id).name));
+      return g;
+    });
+
+  insets.select(".inset-frame")
+    .attr("x", (d) => d.extent[0][0])
+    .attr("y", (d) => d.extent[0][1])
+    .attr("width", (d) => d.extent[1][0] - d.extent[0][0])
+    .attr("height", (d) => d.extent[1][1] - d.extent[0][1]);
+
+  insets.select(".inset-label")
+    .attr("x", (d) => d.extent[0][0] + 6)
+    .attr("y", (d) => d.extent[0][1] + 13);
+
+  // Context countries clipped to the box (e.g. Panama around the Canal Zone).
+  // Inset projections only change on resize, so skip redraws mid-zoom.
+  insets.select(".inset-context").each(function (d) {
+    if (insetContextDrawn.get(this) === d.projection) return;
+    insetContextDrawn.set(this, d.projection);
+
+    const [[west, south], [east, north]] = d.bounds;
+    const insetPath = d3.geoPath(d.projection);
+    const features = contextCountries
+      ? contextCountries.features.filter((f) => {
+          const [[w, s], [e, n]] = d3.geoBounds(f);
+          return w <= east && e >= west && s <= north && n >= south;
+        })
+      : [];
+    d3.select(this)
+      .selectAll("path")
+      .data(features)
+      .join("path")
+      .attr("d", insetPath)
+      .attr("fill", CONTEXT_COLOR);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Geometry detail tiers
+// ─────────────────────────────────────────────────────────────
+
+// The map opens on the coarsest tier. Once a zoom settles somewhere that
+// wants more detail, the finer tier loads in the background and its
+// geometry is swapped into the features already bound to the map, so
+// properties, classes and data joins stay as they are.
+const GEOMETRY_TIERS = ["low", "medium", "high"]; // coarsest first
+let geometryTier = null; // finest tier swapped in so far
+const geometryTierLoads = new Set(); // tiers being fetched
+
+function tierRank(tier) {
+  return GEOMETRY_TIERS.indexOf(tier);
+}
+
+// Features come out of every tier in the same order, so swap by index
+function swapGeometry(features, finer) {
+  features.forEach((feature, i) => {
+    feature.geometry = finer[i].geometry;
+  });
+}
+
+function refineGeometry(zoomLevel) {
+  const tier = ZOOM_LEVELS[zoomLevel]?.detail;
+  if (!tier || tierRank(tier) <= tierRank(geometryTier) || geometryTierLoads.has(tier)) return;
+
+  geometryTierLoads.add(tier);
+  loadGeometryTier(tier)
+    .then(({ acquisitions, byStep, countries }) => {
+      // A finer tier may have arrived first
+      if (tierRank(tier) <= tierRank(geometryTier)) return;
+
+      swapGeometry(acquisitionsData.features, acquisitions.features);
+      swapGeometry(contextCountries.features, countries.features);
+      geoDataByStep.forEach((byCategory, i) => {
+        for (const [cat, features] of Object.entries(byCategory)) {
+          swapGeometry(features, byStep[i][cat]);
+        }
+      });
+      geometryTier = tier;
+
+      // A running zoom redraws every frame anyway
+      if (!isZooming) updateAllPaths(d3.select("#map"), 0);
+    })
+    .catch((error) => {
+      // Keep drawing the coarser geometry; the next zoom tries again
+      console.warn(`[geometry] could not load the ${tier} tier`, error);
+    })
+    .finally(() => geometryTierLoads.delete(tier));
+}
+
+// Called whenever a zoom settles. Waits a tick so a zoom that is replaced
+// straight away (the overview applies its own after the first step's)
+// doesn't fetch a tier for nothing.
+let refineTimer = null;
+
+function refineGeometrySoon() {
+  clearTimeout(refineTimer);
+  refineTimer = setTimeout(() => {
+    if (!isZooming) refineGeometry(currentZoomLevel);
+  }, 0);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Canvas zoom renderer
+// ─────────────────────────────────────────────────────────────
+
+// Rewriting every SVG path on each tween frame stutters on slow phones. The
+// canvas renderer draws context countries and acquisitions to a <canvas>
+// under the SVG while a zoom runs, then hands back to the interactive SVG
+// once it settles. ?renderer=canvas or ?renderer=svg forces a choice;
+// otherwise the canvas is used when a full SVG redraw misses the frame budget.
+const SLOW_FRAME_MS = 12;
+const rendererParam = new URLSearchParams(location.search).get("renderer");
+let canvasZoom = rendererParam === "canvas";
+let canvasContext = null;
+
+function sizeCanvas() {
+  const canvas = document.getElementById("map-canvas");
+  canvasContext = canvas?.getContext("2d") || null;
+  if (!canvasContext) return;
+
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(baseWidth * ratio);
+  canvas.height = Math.round(baseHeight * ratio);
+  canvasContext.setTransform(ratio, 0, 0, ratio, 0, 0);
+}
+
+// Time a warm full redraw of the SVG and pick the renderer from it
+function chooseRenderer(svg) {
+  if (rendererParam) return;
+  updateAllPaths(svg, 0);
+  const start = performance.now();
+  updateAllPaths(svg, 0);
+  canvasZoom = performance.now() - start > SLOW_FRAME_MS;
+}
+
+function startCanvasZoom(svg) {
+  drawCanvasFrame(svg);
+  document.getElementById("map-canvas").hidden = false;
+  svg.classed("is-canvas-zooming", true);
+}
+
+function endCanvasZoom(svg) {
+  updateAllPaths(svg, 0);
+  svg.classed("is-canvas-zooming", false);
+  document.getElementById("map-canvas").hidden = true;
+}
+
+// Paint the SVG's own features with whatever fill and opacity they have
+// right now, so colour transitions running alongside the zoom carry over
+function drawCanvasFrame(svg) {
+  const ctx = canvasContext;
+  const canvasPath = d3.geoPath(projection, ctx);
+  ctx.clearRect(0, 0, baseWidth, baseHeight);
+
+  const paint = (selection) => selection.each(function (d) {
+    const opacity = this.getAttribute("opacity");
+    ctx.globalAlpha = opacity === null ? 1 : +opacity;
+    ctx.fillStyle = this.getAttribute("fill");
+    ctx.strokeStyle = this.getAttribute("stroke");
+    ctx.lineWidth = +this.getAttribute("stroke-width");
+    ctx.beginPath();
+    canvasPath(d);
+    ctx.fill();
+    ctx.stroke();
+  });
+
+  paint(svg.selectAll(".layer-context .context-country"));
+  paint(svg.selectAll(".layer-acquisitions .acquisition"));
+  ctx.globalAlpha = 1;
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -327,7 +626,7 @@ function getNavigablePages() {
   if (isDesktop()) {
     return pageElements.filter((el) => {
       const type = el.dataset.type;
-      return type === "intro" || type === "story" || type === "overview";
+      return type === "intro" || type === "story" || type === "overview" || type === "compare";
     });
   }
   return pageElements;
@@ -338,43 +637,85 @@ function getNavigableIndices() {
   return navigable.map((el) => pageElements.indexOf(el));
 }
 
+// Transition pages are folded into their story page on desktop, so map a
+// transition index to the story page that follows it
+function resolveNavigablePage(pageIndex) {
+  if (!isDesktop()) return pageIndex;
+  const { type } = getPageInfo(pageElements[pageIndex]);
+  if (type !== "transition") return pageIndex;
+  const nextStory = pageElements.findIndex((el, i) =>
+    i > pageIndex && el.dataset.type === "story"
+  );
+  return nextStory !== -1 ? nextStory : pageIndex;
+}
+
 // ─────────────────────────────────────────────────────────────
 // Data loading
 // ─────────────────────────────────────────────────────────────
 
-async function loadAllGeoJSON() {
-  const promises = MAP_STEPS.map((s) =>
-    d3.json(`/data/us-territorial-expansion/${s.file}`).then((geojson) => {
-      const byCategory = {};
-      for (const feature of geojson.features) {
-        const cat = feature.properties.CATEGORY || "none";
-        if (!byCategory[cat]) byCategory[cat] = [];
-        byCategory[cat].push(feature);
-      }
-      return byCategory;
-    })
-  );
-  return Promise.all(promises);
+function applyStory(story) {
+  MAP_STEPS = story.steps.map(({ year, file, era, zoom, label, treaty }) => ({
+    year, file, era, zoom, name: label?.name, treaty,
+  }));
+  RHETORIC_TARGETS = story.rhetoricTargets || [];
+  US_POPULATION = story.usPopulation || null;
+  ACQUISITION_LABELS = story.steps
+    .filter((step) => step.label)
+    .map((step) => ({ era: step.era, year: step.year, ...step.label }));
+  FOOTNOTES = story.footnotes || {};
+
+  for (const step of story.steps) {
+    if (step.color) ERA_COLORS[step.era] = step.color;
+  }
 }
 
-async function loadContextCountries() {
-  const topo = await d3.json("/data/us-territorial-expansion/world-countries-50m.json");
+// Overview label tooltips: the hand-written description from story.json
+// followed by the stats computed from each acquisition polygon
+function applyAcquisitionStats() {
+  const propertiesByEra = new Map(
+    acquisitionsData.features.map((f) => [f.properties.era, f.properties])
+  );
+  ACQUISITION_LABELS = ACQUISITION_LABELS.map((label) => ({
+    ...label,
+    detail: [label.detail, acquisitionSummary(propertiesByEra.get(label.era) || {})]
+      .filter(Boolean)
+      .join(" · "),
+  }));
+}
 
-  // Convert TopoJSON to GeoJSON and filter to just the countries we want
-  const allCountries = topojson.feature(topo, topo.objects.countries);
+function groupByCategory(features) {
+  const byCategory = {};
+  for (const feature of features) {
+    const cat = feature.properties.CATEGORY || "none";
+    if (!byCategory[cat]) byCategory[cat] = [];
+    byCategory[cat].push(feature);
+  }
+  return byCategory;
+}
 
-  const filtered = {
-    type: "FeatureCollection",
-    features: allCountries.features.filter(f =>
-      CONTEXT_COUNTRY_IDS.includes(parseInt(f.id))
-    )
+// acquisitions.geojson, the yearly files and the context countries, packed
+// into one topology per detail tier. Objects are named after the source file.
+// A step added to story.json since the tiers were last built isn't in them:
+// it is drawn from its own GeoJSON file, at full detail in every tier.
+async function loadGeometryTier(tier) {
+  const topo = await d3.json(`/data/us-territorial-expansion/tiers/geometry.${tier}.json`);
+  const object = (file) => topo.objects[file.replace(/\.geojson$/, "")];
+  const features = (file) => topojson.feature(topo, object(file)).features;
+  const stepFeatures = async (file) => {
+    if (object(file)) return features(file);
+    console.warn(`[geometry] ${file} is not in the ${tier} tier; run scripts/build-geometry-tiers.js`);
+    return (await d3.json(`/data/us-territorial-expansion/${file}`)).features;
+  };
+  const byStep = await Promise.all(MAP_STEPS.map((s) => stepFeatures(s.file)));
+  return {
+    acquisitions: { type: "FeatureCollection", features: features("acquisitions.geojson") },
+    byStep: byStep.map(groupByCategory),
+    countries: { type: "FeatureCollection", features: features("context-countries") },
   };
-
-  return filtered;
 }
 
-async function loadAcquisitions() {
-  return d3.json("/data/us-territorial-expansion/acquisitions.geojson");
+async function loadOverseasTerritories() {
+  return d3.json("/data/us-territorial-expansion/overseas-territories.geojson");
 }
 
 async function loadUSStates() {
@@ -382,6 +723,98 @@ async function loadUSStates() {
   return topojson.feature(topo, topo.objects.states);
 }
 
+async function loadStatehood() {
+  const data = await d3.json("/data/us-territorial-expansion/statehood.json");
+  return new Map(data.states.map((record) => [record.id, record]));
+}
+
+async function loadLandCessions() {
+  return d3.json("/data/us-territorial-expansion/land-cessions.geojson");
+}
+
+async function loadClaims() {
+  return d3.json("/data/us-territorial-expansion/claims.geojson");
+}
+
+// ─────────────────────────────────────────────────────────────
+// Progressive loading
+// ─────────────────────────────────────────────────────────────
+
+// init() waits only for the story and the coarsest geometry tier, which is
+// everything the first step draws. The overlays below follow in the
+// background; each is drawn as soon as its files arrive, and its toggle
+// (disabled in the markup) turns on with it.
+
+// The loading indicator covers the viewer until the first step can draw. If
+// that data fails it stays up with an explanation and a retry button.
+function setMapStatus(state) {
+  const status = document.getElementById("map-status");
+  if (!status) return;
+  status.hidden = !state;
+  status.classList.toggle("is-error", state === "error");
+  status.querySelector(".map-status-message").textContent = state === "error"
+    ? t("map.error")
+    : t("map.loading");
+  status.querySelector(".map-status-retry").hidden = state !== "error";
+}
+
+function loadOverlayData(svg) {
+  const overlays = [
+    {
+      name: "overseas territories",
+      load: loadOverseasTerritories,
+      apply: (data) => { overseasData = data; },
+      draw: drawOverseas,
+    },
+    {
+      name: "statehood",
+      load: () => Promise.all([loadUSStates(), loadStatehood()]),
+      apply: ([states, records]) => {
+        usStates = states;
+        statehoodById = records;
+        document.querySelectorAll("[data-statehood]").forEach(buildStatehoodTable);
+      },
+      draw: drawStatehood,
+      toggle: "toggle-statehood",
+    },
+    {
+      name: "land cessions",
+      load: loadLandCessions,
+      apply: (data) => { cessionsData = data; },
+      draw: drawCessions,
+      toggle: "toggle-cessions",
+    },
+    {
+      name: "claims",
+      load: loadClaims,
+      apply: (data) => { claimsData = data; },
+      draw: drawClaims,
+      toggle: "toggle-claims",
+    },
+  ];
+
+  return Promise.allSettled(overlays.map(({ name, load, apply, draw, toggle }) => {
+    const button = toggle && document.getElementById(toggle);
+    return load()
+      .then((data) => {
+        apply(data);
+        if (button) button.disabled = false;
+        // Added to the maps as they are, so running transitions and hover
+        // states carry on; a zoom in progress redraws the new paths with it
+        draw(svg);
+        if (compareMapReady) draw(d3.select("#map-compare"));
+      })
+      .catch((error) => {
+        // The story works without it; leave the layer off
+        console.warn(`[data] could not load the ${name} layer`, error);
+        if (button) {
+          button.classList.add("is-unavailable");
+          button.title = t("map.layerUnavailable");
+        }
+      });
+  }));
+}
+
 // ─────────────────────────────────────────────────────────────
 // Map rendering
 // ─────────────────────────────────────────────────────────────
@@ -398,15 +831,68 @@ function fitProjection(svg, geoData) {
 
   svg.attr("viewBox", `0 0 ${width} ${height}`);
   svg.attr("preserveAspectRatio", "xMidYMid meet");
+  sizeCanvas();
 }
 
 function initializeMap(svg) {
   // Clear any existing content
   svg.selectAll("*").remove();
+  boundariesSnapshot = -1;
+
+  // Hatch fill for disputed areas in the boundaries layer
+  const defs = svg.append("defs");
+  defs.append("pattern")
+    .attr("id", "hatch-disputed")
+    .attr("width", 6)
+    .attr("height", 6)
+    .attr("patternUnits", "userSpaceOnUse")
+    .attr("patternTransform", "rotate(45)")
+    .append("line")
+    .attr("y2", 6)
+    .attr("stroke", "#3d4a5c")
+    .attr("stroke-width", 1.2)
+    .attr("stroke-opacity", 0.5);
+
+  // Wider, opposite hatch for the claims layer, so a claim never reads as
+  // one of the disputed areas above
+  defs.append("pattern")
+    .attr("id", "hatch-claim")
+    .attr("width", 8)
+    .attr("height", 8)
+    .attr("patternUnits", "userSpaceOnUse")
+    .attr("patternTransform", "rotate(-45)")
+    .append("line")
+    .attr("y2", 8)
+    .attr("stroke", "#8c2f39")
+    .attr("stroke-width", 2)
+    .attr("stroke-opacity", 0.55);
+
+  // Cross-hatch over the neighbour colour for the countries named in the
+  // modern rhetoric epilogue: claimed in speeches, not on any map
+  const rhetoricHatch = defs.append("pattern")
+    .attr("id", "hatch-rhetoric")
+    .attr("width", 7)
+    .attr("height", 7)
+    .attr("patternUnits", "userSpaceOnUse")
+    .attr("patternTransform", "rotate(45)");
+  rhetoricHatch.append("rect")
+    .attr("width", 7)
+    .attr("height", 7)
+    .attr("fill", CONTEXT_COLOR);
+  rhetoricHatch.append("path")
+    .attr("d", "M0,0V7M0,0H7")
+    .attr("stroke", "#e63946")
+    .attr("stroke-width", 1)
+    .attr("stroke-opacity", 0.6);
 
   // Create layer groups in correct z-order (bottom to top)
   svg.append("g").attr("class", "layer-context");
+  svg.append("g").attr("class", "layer-insets");
   svg.append("g").attr("class", "layer-acquisitions");
+  svg.append("g").attr("class", "layer-statehood").attr("opacity", 0);
+  svg.append("g").attr("class", "layer-cessions").attr("opacity", 0);
+  svg.append("g").attr("class", "layer-boundaries").attr("opacity", 0);
+  svg.append("g").attr("class", "layer-claims").attr("opacity", 0);
   svg.append("g").attr("class", "layer-labels");
 
   // Render context countries (static, never changes)
@@ -420,7 +906,8 @@ function initializeMap(svg) {
       .attr("d", path)
       .attr("fill", CONTEXT_COLOR)
       .attr("stroke", "#f8f5f0")
-      .attr("stroke-width", 0.5);
+      .attr("stroke-width", 0.5)
+      .on("click", inspectCountry);
   }
 
   // Render all acquisition polygons upfront (hidden until their step)
@@ -435,9 +922,16 @@ function initializeMap(svg) {
       .attr("fill", ESTABLISHED_COLOR)
       .attr("stroke", "#f8f5f0")
       .attr("stroke-width", 0.5)
-      .attr("opacity", 0);
+      .attr("opacity", 0)
+      .on("click", (event, d) => inspectAcquisition(event, d.properties.era));
   }
 
+  drawOverseas(svg);
+  updateInsetFrames(svg);
+  drawStatehood(svg);
+  drawCessions(svg);
+  drawClaims(svg);
+
   // Render question mark labels for modern expansion rhetoric targets
   const labelsLayer = svg.select(".layer-labels");
   RHETORIC_TARGETS.forEach((target) => {
@@ -455,21 +949,24 @@ function initializeMap(svg) {
       .attr("stroke-width", 2)
       .attr("paint-order", "stroke")
       .attr("opacity", 0)
-      .text("?");
+      .style("cursor", "pointer")
+      .style("pointer-events", "none") // Enabled only on the modern step
+      .datum(target)
+      .text("?")
+      .on("click", openRhetoricCard);
   });
 
   // Render acquisition year labels for overview map
   ACQUISITION_LABELS.forEach((label) => {
-    const coords = projection([label.lon, label.lat]);
-    if (!coords) return;
-    const [x, y] = coords;
-    // Skip if coordinates are outside visible area
-    if (x < 0 || x > baseWidth || y < 0 || y > baseHeight) return;
+    const [x, y] = projection([label.lon, label.lat]);
+    // Hidden while outside the visible area (see updateAllPaths)
+    const outside = x < 0 || x > baseWidth || y < 0 || y > baseHeight;
 
     labelsLayer.append("text")
       .attr("class", `acquisition-label acquisition-label-${label.era}`)
       .attr("x", x)
       .attr("y", y)
+      .attr("display", outside ? "none" : null)
       .attr("text-anchor", "middle")
       .attr("dominant-baseline", "middle")
       .attr("font-size", "14px")
@@ -485,10 +982,91 @@ function initializeMap(svg) {
       .text(label.year)
       .on("mouseenter", showTooltip)
       .on("mouseleave", hideTooltip)
-      .on("click", showTooltip);
+      .on("click", (event, d) => {
+        hideTooltip();
+        inspectAcquisition(event, d.era);
+      });
   });
 }
 
+// The overlay layers below can arrive after the map is drawn (see
+// loadOverlayData); the enter selections add only what isn't there yet.
+
+// Overseas territories, drawn in the insets: hidden until their step, or
+// styled as the map already is when they arrive late
+function drawOverseas(svg) {
+  if (!overseasData) return;
+  const style = overseasStyle.get(svg.node());
+  svg.select(".layer-acquisitions")
+    .selectAll(".overseas")
+    .data(overseasData.features, d => d.properties.id)
+    .enter()
+    .append("path")
+    .attr("class", d => `overseas overseas-${d.properties.id}`)
+    .attr("d", path)
+    .attr("fill", style?.fill ?? CONTEXT_COLOR)
+    .attr("stroke", "#f8f5f0")
+    .attr("stroke-width", 0.3)
+    .attr("opacity", style?.opacity ?? 0);
+}
+
+// Modern state outlines for the statehood layer, hidden until toggled
+function drawStatehood(svg) {
+  if (!usStates) return;
+  svg.select(".layer-statehood")
+    .style("pointer-events", "none")
+    .selectAll(".statehood-state")
+    .data(usStates.features.filter((f) => statehoodById.has(f.id)), (d) => d.id)
+    .enter()
+    .append("path")
+    .attr("class", (d) => `statehood-state statehood-state-${d.id}`)
+    .attr("d", path)
+    .on("mouseenter", (event, d) => showTooltip(event, statehoodTooltip(d)))
+    .on("mouseleave", hideTooltip)
+    .on("click", (event, d) => {
+      event.stopPropagation();
+      showTooltip(event, statehoodTooltip(d));
+    });
+}
+
+// Indigenous land cessions, hidden until toggled
+function drawCessions(svg) {
+  if (!cessionsData) return;
+  svg.select(".layer-cessions")
+    .style("pointer-events", "none")
+    .selectAll(".cession")
+    .data(cessionsData.features, (d) => d.properties.id)
+    .enter()
+    .append("path")
+    .attr("class", (d) => `cession cession-${d.properties.id}`)
+    .attr("d", path)
+    .on("mouseenter", (event, d) => showTooltip(event, cessionTooltip(d)))
+    .on("mouseleave", hideTooltip)
+    .on("click", (event, d) => {
+      event.stopPropagation();
+      showTooltip(event, cessionTooltip(d));
+    });
+}
+
+// Unrealised claims, hidden until toggled
+function drawClaims(svg) {
+  if (!claimsData) return;
+  svg.select(".layer-claims")
+    .style("pointer-events", "none")
+    .selectAll(".claim")
+    .data(claimsData.features, (d) => d.properties.id)
+    .enter()
+    .append("path")
+    .attr("class", (d) => `claim claim-${d.properties.id}`)
+    .attr("d", path)
+    .on("mouseenter", (event, d) => showTooltip(event, claimTooltip(d)))
+    .on("mouseleave", hideTooltip)
+    .on("click", (event, d) => {
+      event.stopPropagation();
+      showTooltip(event, claimTooltip(d));
+    });
+}
+
 // ─────────────────────────────────────────────────────────────
 // Tooltip for acquisition labels
 // ─────────────────────────────────────────────────────────────
@@ -502,6 +1080,7 @@ function ensureTooltip() {
     tooltipEl.innerHTML = `
       <div class="acquisition-tooltip-name"></div>
       <div class="acquisition-tooltip-detail"></div>
+      <div class="acquisition-tooltip-note"></div>
     `;
     document.getElementById("viewer").appendChild(tooltipEl);
   }
@@ -512,6 +1091,7 @@ function showTooltip(event, d) {
   const tooltip = ensureTooltip();
   tooltip.querySelector(".acquisition-tooltip-name").textContent = d.name;
   tooltip.querySelector(".acquisition-tooltip-detail").textContent = d.detail;
+  tooltip.querySelector(".acquisition-tooltip-note").textContent = d.note || "";
 
   // Position tooltip near the label
   const [x, y] = projection([d.lon, d.lat]);
@@ -547,18 +1127,247 @@ function hideTooltip() {
   }
 }
 
-function renderMapStep(svg, geoData, stepIndex, options = {}) {
-  const { opacity = 1, duration = 800, animate = true } = options;
+// ─────────────────────────────────────────────────────────────
+// Detail card (click to inspect)
+// ─────────────────────────────────────────────────────────────
 
-  if (!acquisitionsData) return;
+// Clicking an acquisition (or its overview label) opens a card with the
+// treaty from story.json and the stats from acquisitions.geojson; clicking a
+// neighbouring country lists the acquisitions whose treaties name it. From
+// the keyboard, the acquisition names in the map's text version (see
+// updateMapDescription) open the same cards.
 
-  // Handle zoom level transition for this step
+let detailReturnFocus = null; // element to refocus when the card closes
+
+function storyPageForStep(stepIndex) {
+  return pageElements.findIndex((el) => {
+    const { type, step } = getPageInfo(el);
+    return type === "story" && step === stepIndex;
+  });
+}
+
+function detailFact(list, term, value) {
+  if (!value) return;
+  const dt = document.createElement("dt");
+  dt.textContent = term;
+  const dd = document.createElement("dd");
+  dd.textContent = value;
+  list.append(dt, dd);
+}
+
+function buildDetailEntry(stepIndex, { heading = false } = {}) {
   const step = MAP_STEPS[stepIndex];
-  if (step && step.zoom) {
-    const shouldAnimate = animate && duration > 0;
-    applyZoomLevel(step.zoom, shouldAnimate, duration);
+  const { treaty = {} } = step;
+  const properties = acquisitionsData?.features
+    .find((f) => f.properties.era === step.era)?.properties;
+
+  const entry = document.createElement("section");
+  entry.className = "detail-entry";
+
+  if (heading) {
+    const h4 = document.createElement("h4");
+    h4.textContent = `${step.name} (${step.year})`;
+    entry.appendChild(h4);
+  }
+
+  const price = acquisitionStat("price", properties);
+  const adjusted = acquisitionStat("adjustedPrice", properties);
+  const area = acquisitionStat("area", properties);
+
+  const facts = document.createElement("dl");
+  facts.className = "detail-facts";
+  detailFact(facts, t("detail.treaty"), treaty.name);
+  detailFact(facts, t("detail.signed"), treaty.signed && dayFormat(parseDay(treaty.signed)));
+  detailFact(facts, t("detail.with"), treaty.counterparty);
+  detailFact(facts, t("detail.price"), price
+    ? [
+      price.value,
+      price.label !== t("stats.price") && price.label,
+      adjusted && t("detail.adjusted", { value: adjusted.value, label: adjusted.label }),
+    ].filter(Boolean).join(" ")
+    : t("detail.none"));
+  detailFact(facts, t("detail.area"), area && `${area.value} ${area.label}`);
+  entry.appendChild(facts);
+
+  const page = storyPageForStep(stepIndex);
+  if (page !== -1 && page !== currentPage) {
+    const jump = document.createElement("button");
+    jump.type = "button";
+    jump.className = "detail-jump";
+    jump.textContent = t("detail.jump");
+    jump.addEventListener("click", () => {
+      closeDetailCard();
+      goToPage(page);
+    });
+    entry.appendChild(jump);
+  }
+
+  return entry;
+}
+
+function showDetailCard(title, entries) {
+  const card = document.getElementById("detail-card");
+  if (!card) return;
+
+  card.querySelector(".detail-card-title").textContent = title;
+  card.querySelector(".detail-card-body").replaceChildren(...entries);
+  if (card.hidden) detailReturnFocus = document.activeElement;
+  card.hidden = false;
+  document.getElementById("detail-card-close")?.focus();
+}
+
+function openDetailCard(title, stepIndices, { headings = false, emptyMessage } = {}) {
+  const entries = stepIndices.map((i) => buildDetailEntry(i, { heading: headings }));
+  if (!stepIndices.length && emptyMessage) {
+    const p = document.createElement("p");
+    p.className = "detail-empty";
+    p.textContent = emptyMessage;
+    entries.push(p);
+  }
+  showDetailCard(title, entries);
+}
+
+function closeDetailCard() {
+  const card = document.getElementById("detail-card");
+  if (!card || card.hidden) return;
+  // Only if focus is still in the card: a click elsewhere has moved it on
+  const hadFocus = card.contains(document.activeElement);
+  card.hidden = true;
+  if (hadFocus) detailReturnFocus?.focus();
+  detailReturnFocus = null;
+}
+
+// Land under the click navigation zones turns the page, as it did before
+// features could be inspected; explore mode and free zoom have no such zones
+function isClickNav(event) {
+  return !isExploring && !freeZoom && clickNavDirection(event) !== 0;
+}
+
+function inspectAcquisition(event, era) {
+  if (isClickNav(event)) return;
+  event.stopPropagation();
+  const stepIndex = MAP_STEPS.findIndex((step) => step.era === era);
+  if (stepIndex !== -1) openAcquisitionCard(stepIndex);
+}
+
+function openAcquisitionCard(stepIndex) {
+  openDetailCard(`${MAP_STEPS[stepIndex].name} (${MAP_STEPS[stepIndex].year})`, [stepIndex]);
+}
+
+function inspectCountry(event, feature) {
+  if (isClickNav(event)) return;
+  event.stopPropagation();
+  const id = parseInt(feature.id, 10);
+
+  // On the epilogue the hatched countries open their quote instead
+  const target = RHETORIC_TARGETS.find(({ country }) => country === id);
+  if (target && currentMapStep === MAP_STEPS.length - 1) {
+    openRhetoricCard(event, target);
+    return;
+  }
+
+  const steps = MAP_STEPS
+    .map((step, i) => (step.treaty?.countries?.includes(id) ? i : -1))
+    .filter((i) => i !== -1);
+  openDetailCard(translateData(feature.properties.name), steps, {
+    headings: true,
+    emptyMessage: t("detail.noCessions"),
+  });
+}
+
+function setupDetailCard() {
+  const card = document.getElementById("detail-card");
+  if (!card) return;
+
+  document.getElementById("detail-card-close").addEventListener("click", closeDetailCard);
+
+  // Clicks elsewhere close the card (map features stop their own clicks)
+  document.addEventListener("click", (e) => {
+    if (!card.hidden && !card.contains(e.target)) closeDetailCard();
+  });
+
+  // Explore mode and free zoom listen for Escape on document too: this is
+  // set up before them, so it can keep the card's Escape to itself
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && !card.hidden) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      closeDetailCard();
+    }
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Modern rhetoric epilogue
+// ─────────────────────────────────────────────────────────────
+
+// The last step is rhetoric, not history: the countries it names are hatched
+// rather than filled like acquisitions, and each opens a card with a dated
+// quote and how the country measures up against the acquisitions.
+
+function highlightRhetoricTargets(svg, visible) {
+  const ids = new Set(RHETORIC_TARGETS.map(({ country }) => country));
+  svg.select(".layer-context")
+    .selectAll(".context-country")
+    .classed("is-rhetoric-target", (d) => visible && ids.has(parseInt(d.id, 10)));
+}
+
+function buildRhetoricEntry(target) {
+  const entry = document.createElement("section");
+  entry.className = "detail-entry";
+
+  const country = contextCountries?.features.find((f) => parseInt(f.id, 10) === target.country);
+  const acquisitions = (acquisitionsData?.features || [])
+    .filter((f) => f.properties.area_sq_mi)
+    .map(({ properties: { step, area_sq_mi } }) => ({
+      name: `${MAP_STEPS[step].name} (${MAP_STEPS[step].year})`,
+      area: area_sq_mi,
+    }));
+  const area = country && featureAreaSqMi(country);
+  const share = target.population && US_POPULATION &&
+    t("rhetoric.share", { share: format(".2~p")(target.population / US_POPULATION.count) });
+
+  const facts = document.createElement("dl");
+  facts.className = "detail-facts";
+  detailFact(facts, t("detail.area"), area && acquisitions.length &&
+    `${formatArea(area)} ${t("unit.sqMi")} (${compareArea(area, acquisitions)})`);
+  detailFact(facts, t("detail.population"), target.population &&
+    [t("rhetoric.population", { count: formatPopulation(target.population), year: target.populationYear }),
+      share && `(${share})`].filter(Boolean).join(" "));
+  entry.appendChild(facts);
+
+  const { quote } = target;
+  if (quote) {
+    const blockquote = document.createElement("blockquote");
+    blockquote.className = "detail-quote";
+    const text = document.createElement("p");
+    text.textContent = t("rhetoric.quote", { text: quote.text });
+    const cite = document.createElement("cite");
+    cite.textContent = [quote.speaker, quote.source, dayFormat(parseDay(quote.date))]
+      .filter(Boolean).join(", ");
+    blockquote.append(text, cite);
+    entry.appendChild(blockquote);
   }
 
+  return entry;
+}
+
+function openRhetoricCard(event, target) {
+  event.stopPropagation();
+  hideTooltip();
+  showDetailCard(target.name, [buildRhetoricEntry(target)]);
+}
+
+function setupRhetoricTargets() {
+  document.querySelectorAll("[data-rhetoric]").forEach((button) => {
+    const target = RHETORIC_TARGETS.find(({ name }) => name === button.dataset.rhetoric);
+    if (target) button.addEventListener("click", (e) => openRhetoricCard(e, target));
+  });
+}
+
+// Acquisitions as of `stepIndex`: future ones blend in with the neighbouring
+// countries, the step's own in its era colour, earlier ones established
+function colorAcquisitions(svg, stepIndex, { opacity = 1, duration = 800 } = {}) {
   const acqLayer = svg.select(".layer-acquisitions");
 
   // Animate each acquisition based on whether it's past, current, or future
@@ -576,45 +1385,81 @@ function renderMapStep(svg, geoData, stepIndex, options = {}) {
       // Future acquisition - show as context (same color as Canada/Mexico)
       // Use full opacity so they look like regular land, not faded territory
       sel.transition()
-        .duration(duration / 2)
+        .duration(motionDuration(duration / 2))
         .attr("opacity", 1)
         .attr("fill", CONTEXT_COLOR);
     } else if (featureStep === stepIndex) {
       // Current step - show in candy color
       sel.transition()
-        .duration(duration)
+        .duration(motionDuration(duration))
         .attr("opacity", opacity)
         .attr("fill", ERA_COLORS[era] || ESTABLISHED_COLOR);
     } else {
       // Past acquisition - show in established color
       sel.transition()
-        .duration(duration)
+        .duration(motionDuration(duration))
         .attr("opacity", opacity)
         .attr("fill", ESTABLISHED_COLOR);
     }
   });
 
+  // Overseas territories follow the same past/current/future scheme
+  const overseas = setOverseasStyle(svg, {
+    opacity: (d) => (overseasStep(d) > stepIndex ? 1 : opacity),
+    fill: (d) => overseasFill(d, stepIndex),
+  });
+  acqLayer.selectAll(".overseas")
+    .interrupt()
+    .transition()
+    .duration(motionDuration(duration))
+    .attr("opacity", overseas.opacity)
+    .attr("fill", overseas.fill);
+}
+
+// `zoom` overrides the step's own zoom level (the comparison page shows two
+// steps at once)
+function renderMapStep(svg, geoData, stepIndex, options = {}) {
+  const { opacity = 1, duration = 800, animate = true } = options;
+
+  if (!acquisitionsData) return;
+
+  // Handle zoom level transition for this step
+  const step = MAP_STEPS[stepIndex];
+  const zoomLevel = options.zoom ?? step?.zoom;
+  if (zoomLevel) {
+    const shouldAnimate = animate && duration > 0;
+    applyZoomLevel(zoomLevel, shouldAnimate, duration);
+  }
+
+  colorAcquisitions(svg, stepIndex, { opacity, duration });
+
   // Show/hide question mark labels for modern expansion rhetoric
-  // Only visible on the final "modern" step (step 11)
+  // Only visible on the final "modern" step
   const MODERN_STEP = MAP_STEPS.length - 1;
   const labelsLayer = svg.select(".layer-labels");
   labelsLayer.selectAll(".rhetoric-label")
     .interrupt()
+    .style("pointer-events", stepIndex === MODERN_STEP ? null : "none")
     .transition()
-    .duration(duration)
+    .duration(motionDuration(duration))
     .attr("opacity", stepIndex === MODERN_STEP ? opacity : 0);
+  highlightRhetoricTargets(svg, stepIndex === MODERN_STEP);
 
   // Hide acquisition labels during regular steps and disable interaction
   labelsLayer.selectAll(".acquisition-label")
     .interrupt()
     .style("pointer-events", "none")
     .transition()
-    .duration(duration)
+    .duration(motionDuration(duration))
     .attr("opacity", 0);
 
   // Hide tooltip if visible
   hideTooltip();
 
+  updateOverlayLayers(svg, stepIndex, duration);
+  updateAreaChart(stepIndex, duration);
+  updateMapDescription(stepIndex);
+
   currentMapStep = stepIndex;
 }
 
@@ -639,29 +1484,72 @@ function renderOverviewMap(svg, options = {}) {
 
     sel.interrupt();
     sel.transition()
-      .duration(duration)
+      .duration(motionDuration(duration))
       .attr("opacity", opacity)
       .attr("fill", ERA_COLORS[era] || ESTABLISHED_COLOR);
   });
 
+  const overseas = setOverseasStyle(svg, {
+    opacity,
+    fill: (d) => ERA_COLORS[d.properties.era] || ESTABLISHED_COLOR,
+  });
+  acqLayer.selectAll(".overseas")
+    .interrupt()
+    .transition()
+    .duration(motionDuration(duration))
+    .attr("opacity", overseas.opacity)
+    .attr("fill", overseas.fill);
+
   // Hide rhetoric labels
   labelsLayer.selectAll(".rhetoric-label")
     .interrupt()
+    .style("pointer-events", "none")
     .transition()
-    .duration(duration)
+    .duration(motionDuration(duration))
     .attr("opacity", 0);
+  highlightRhetoricTargets(svg, false);
 
   // Show acquisition year labels and enable interaction
   labelsLayer.selectAll(".acquisition-label")
     .interrupt()
     .style("pointer-events", "auto")
     .transition()
-    .duration(duration)
+    .duration(motionDuration(duration))
     .attr("opacity", opacity);
 
+  updateOverlayLayers(svg, MAP_STEPS.length, duration);
+  updateAreaChart(MAP_STEPS.length, duration);
+  updateMapDescription(MAP_STEPS.length);
+
   currentMapStep = -2; // Special value for overview mode
 }
 
+// The overseas file can arrive after a map is styled, so each map keeps the
+// opacity and fill it last gave its territories for drawOverseas()
+const overseasStyle = d3.local();
+
+function setOverseasStyle(svg, style) {
+  const node = svg.node();
+  return overseasStyle.set(node, { ...overseasStyle.get(node), ...style });
+}
+
+// Story step an overseas territory arrives with
+function overseasStep(feature) {
+  return MAP_STEPS.findIndex((step) => step.era === feature.properties.era);
+}
+
+// Context before its step and once given up (Philippines, Canal Zone), era
+// colour on its own step, established in between
+function overseasFill(feature, stepIndex) {
+  const { era, relinquished } = feature.properties;
+  const acquiredStep = overseasStep(feature);
+  const step = MAP_STEPS[stepIndex];
+  if (acquiredStep > stepIndex) return CONTEXT_COLOR;
+  if (relinquished && step && stepEndYear(step) >= relinquished) return CONTEXT_COLOR;
+  if (acquiredStep === stepIndex) return ERA_COLORS[era] || ESTABLISHED_COLOR;
+  return ESTABLISHED_COLOR;
+}
+
 function updateMapOpacity(svg, opacity, duration = 600) {
   // Update opacity of all acquisitions (all are now visible)
   if (acquisitionsData) {
@@ -671,16 +1559,22 @@ function updateMapOpacity(svg, opacity, duration = 600) {
 
       if (!sel.empty()) {
         sel.transition()
-          .duration(duration)
+          .duration(motionDuration(duration))
           .attr("opacity", opacity);
       }
     });
   }
 
-  svg.select(".layer-context")
-    .selectAll("path")
+  setOverseasStyle(svg, { opacity });
+  svg.select(".layer-acquisitions")
+    .selectAll(".overseas")
     .transition()
-    .duration(duration)
+    .duration(motionDuration(duration))
+    .attr("opacity", opacity);
+
+  svg.selectAll(".layer-context path, .inset-context path")
+    .transition()
+    .duration(motionDuration(duration))
     .attr("opacity", opacity);
 
   // Update question mark labels opacity (if visible on modern step)
@@ -689,30 +1583,1103 @@ function updateMapOpacity(svg, opacity, duration = 600) {
     svg.select(".layer-labels")
       .selectAll(".rhetoric-label")
       .transition()
-      .duration(duration)
+      .duration(motionDuration(duration))
       .attr("opacity", opacity);
   }
 }
 
 // ─────────────────────────────────────────────────────────────
-// Page navigation
+// Optional overlay layers
 // ─────────────────────────────────────────────────────────────
 
-function getPageInfo(pageEl) {
-  return {
-    type: pageEl.dataset.type,
-    step: pageEl.dataset.step !== undefined ? parseInt(pageEl.dataset.step) : null,
-  };
-}
+// Overlays follow the story step. null hides them (intro); steps past the
+// last MAP_STEPS entry (overview, notes) show the final state of things.
+function updateOverlayLayers(svg, stepIndex, duration = 800) {
+  if (stepIndex === null) {
+    updateBoundariesLayer(svg, null, duration);
+    updateStatehoodLayer(svg, null, null, duration);
+    updateCessionsLayer(svg, null, null, duration);
+    updateClaimsLayer(svg, null, duration);
+    return;
+  }
 
-function goToPage(newPage) {
-  newPage = Math.max(0, Math.min(newPage, totalPages - 1));
+  updateBoundariesLayer(svg, Math.min(stepIndex, geoDataByStep.length - 1), duration);
+
+  const step = MAP_STEPS[stepIndex];
+  const prevStep = MAP_STEPS[stepIndex - 1];
+  const year = step ? stepEndYear(step) : Infinity;
+  const sinceYear = step ? (prevStep ? stepEndYear(prevStep) : -Infinity) : Infinity;
+  updateStatehoodLayer(svg, year, sinceYear, duration);
+  updateCessionsLayer(svg, year, sinceYear, duration);
+
+  // Each claim belongs to one step; the overview shows them all
+  updateClaimsLayer(svg, (d) => !step || d.properties.era === step.era, duration);
+}
+
+function overlayStepForPage(pageIndex) {
+  const { type, step } = getPageInfo(pageElements[pageIndex]);
+  if (type === "intro") return null;
+  return step === null ? MAP_STEPS.length : step;
+}
+
+// Re-apply overlays after a toggle, in whichever mode the map is in
+function refreshOverlayLayers(duration = 400) {
+  const svg = d3.select("#map");
+  if (isExploring) {
+    renderExploreYear(svg, exploreYear, { duration, animate: false });
+  } else {
+    updateOverlayLayers(svg, overlayStepForPage(currentPage), duration);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Historical boundaries layer
+// ─────────────────────────────────────────────────────────────
+
+// Draw the era-correct states, territories, disputed areas and seceded
+// states from one yearly file, so "acquired" and "became a state" read as
+// different events. Explore mode always shows the layer.
+function updateBoundariesLayer(svg, snapshotIndex, duration = 800) {
+  const layer = svg.select(".layer-boundaries");
+  const visible = (showBoundaries || isExploring) && snapshotIndex !== null;
+
+  if (visible && snapshotIndex !== boundariesSnapshot) {
+    const byCategory = geoDataByStep[snapshotIndex] || {};
+    const features = Object.keys(BOUNDARY_LABELS).flatMap((cat) => byCategory[cat] || []);
+
+    layer.selectAll("path")
+      .data(features)
+      .join("path")
+      .attr("class", (d) => `boundary ${CATEGORY_CLASS[d.properties.CATEGORY]}`)
+      .attr("d", path);
+
+    boundariesSnapshot = snapshotIndex;
+  }
+
+  layer.interrupt()
+    .transition()
+    .duration(motionDuration(duration))
+    .attr("opacity", visible ? 1 : 0);
+
+  document.getElementById("boundaries-legend")
+    ?.classList.toggle("is-visible", visible);
+}
+
+function buildBoundariesLegend() {
+  const legend = document.getElementById("boundaries-legend");
+  if (!legend) return;
+  legend.innerHTML = "";
+
+  for (const [cat, label] of Object.entries(BOUNDARY_LABELS)) {
+    const item = document.createElement("li");
+    item.className = "map-legend-item";
+
+    // Swatches reuse the map's own category classes so they always match
+    d3.select(item)
+      .append("svg")
+      .attr("class", "map-legend-swatch")
+      .attr("viewBox", "0 0 16 12")
+      .append("rect")
+      .attr("class", `boundary ${CATEGORY_CLASS[cat]}`)
+      .attr("x", 1)
+      .attr("y", 1)
+      .attr("width", 14)
+      .attr("height", 10);
+
+    item.append(t(label));
+    legend.appendChild(item);
+  }
+}
+
+function setupBoundaries() {
+  const toggle = document.getElementById("toggle-boundaries");
+  if (!toggle) return;
+
+  buildBoundariesLegend();
+
+  toggle.addEventListener("click", (e) => {
+    e.stopPropagation();
+    showBoundaries = !showBoundaries;
+    toggle.setAttribute("aria-pressed", String(showBoundaries));
+    refreshOverlayLayers(400);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Statehood layer
+// ─────────────────────────────────────────────────────────────
+
+// Formats come from the locale, so they are looked up when used
+const dayFormat = (date) => utcFormat(t("format.day"))(date);
+
+// Calendar days ("1787-12-07") as UTC midnight, to go with dayFormat
+const parseDay = d3.utcParse("%Y-%m-%d");
+
+function admittedYear(record) {
+  return parseInt(record.admitted, 10);
+}
+
+// Tooltip datum in the shape showTooltip() expects
+function statehoodTooltip(feature) {
+  const record = statehoodById.get(feature.id);
+  const date = dayFormat(parseDay(record.admitted));
+  const [lon, lat] = d3.geoCentroid(feature);
+  const detail = record.original
+    ? t("statehood.original", { date, ordinal: ordinal(record.order) })
+    : t("statehood.admitted", { date, ordinal: ordinal(record.order) });
+  return { name: record.name, detail, lon, lat };
+}
+
+// Fill in the states admitted by `year`; those admitted since `sinceYear`
+// get an accent outline. The original thirteen count from independence.
+function updateStatehoodLayer(svg, year, sinceYear, duration = 800) {
+  const layer = svg.select(".layer-statehood");
+  const visible = showStatehood && year !== null;
+
+  if (visible) {
+    layer.selectAll(".statehood-state").each(function (d) {
+      const record = statehoodById.get(d.id);
+      const admitted = admittedYear(record);
+      d3.select(this)
+        .classed("is-admitted", record.original || admitted <= year)
+        .classed("is-new", !record.original && admitted > sinceYear && admitted <= year);
+    });
+  }
+
+  layer.style("pointer-events", visible ? null : "none")
+    .interrupt()
+    .transition()
+    .duration(motionDuration(duration))
+    .attr("opacity", visible ? 1 : 0);
+}
+
+function sortStatehoodRows(tbody, key, ascending) {
+  const rows = Array.from(tbody.rows);
+  const value = (row) => row.dataset[key];
+  rows.sort((a, b) => {
+    const cmp = key === "order"
+      ? d3.ascending(+value(a), +value(b))
+      : d3.ascending(value(a), value(b));
+    return ascending ? cmp : -cmp;
+  });
+  tbody.append(...rows);
+}
+
+// Sortable admission table on the overview page
+function buildStatehoodTable(panel) {
+  const columns = [
+    { key: "order", label: "#" },
+    { key: "name", label: t("statehood.state") },
+    { key: "admitted", label: t("statehood.admittedColumn") },
+  ];
+
+  const table = document.createElement("table");
+  table.className = "statehood-table";
+  const headRow = table.createTHead().insertRow();
+  const tbody = table.createTBody();
+
+  const records = Array.from(statehoodById.values()).sort((a, b) => a.order - b.order);
+  for (const record of records) {
+    const row = tbody.insertRow();
+    row.dataset.id = record.id;
+    row.dataset.order = record.order;
+    row.dataset.name = record.name;
+    row.dataset.admitted = record.admitted;
+    row.insertCell().textContent = record.order;
+    row.insertCell().textContent = record.name;
+    row.insertCell().textContent = dayFormat(parseDay(record.admitted));
+  }
+
+  let sortKey = "order";
+  let ascending = true;
+  const buttons = columns.map(({ key, label }) => {
+    const th = document.createElement("th");
+    th.scope = "col";
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = label;
+    btn.addEventListener("click", () => {
+      ascending = sortKey === key ? !ascending : true;
+      sortKey = key;
+      sortStatehoodRows(tbody, key, ascending);
+      buttons.forEach(([other, otherTh]) => {
+        otherTh.setAttribute("aria-sort",
+          other === key ? (ascending ? "ascending" : "descending") : "none");
+      });
+    });
+    th.setAttribute("aria-sort", key === sortKey ? "ascending" : "none");
+    th.appendChild(btn);
+    headRow.appendChild(th);
+    return [key, th];
+  });
+
+  // Hovering a row points at the state on the map
+  const stateFeature = (row) => usStates?.features.find((f) => f.id === row.dataset.id);
+  tbody.addEventListener("mouseover", (e) => {
+    const row = e.target.closest("tr");
+    const feature = row && stateFeature(row);
+    if (feature) showTooltip(e, statehoodTooltip(feature));
+  });
+  tbody.addEventListener("mouseleave", hideTooltip);
+
+  panel.appendChild(table);
+}
+
+function setupStatehood() {
+  const toggle = document.getElementById("toggle-statehood");
+
+  if (!toggle) return;
+  toggle.addEventListener("click", (e) => {
+    e.stopPropagation();
+    showStatehood = !showStatehood;
+    toggle.setAttribute("aria-pressed", String(showStatehood));
+    hideTooltip();
+    refreshOverlayLayers(400);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Indigenous land cession layer
+// ─────────────────────────────────────────────────────────────
+
+// The acquisitions above are claims traded between governments; this layer
+// shows when the land itself was ceded by the nations living on it. The
+// outlines are approximate (see scripts/build-land-cessions.js).
+
+function cessionTooltip(feature) {
+  const { treaty, date, nations, detail } = feature.properties;
+  const [lon, lat] = d3.geoCentroid(feature);
+  return {
+    name: treaty,
+    detail: `${nations} · ${dayFormat(parseDay(date))}`,
+    note: detail,
+    lon,
+    lat,
+  };
+}
+
+// Fill in the cessions made by `year`, with an accent outline on those since
+// `sinceYear`; later ones stay as dashed outlines
+function updateCessionsLayer(svg, year, sinceYear, duration = 800) {
+  const layer = svg.select(".layer-cessions");
+  const visible = showCessions && year !== null;
+
+  if (visible) {
+    layer.selectAll(".cession")
+      .classed("is-ceded", (d) => d.properties.year <= year)
+      .classed("is-new", (d) => d.properties.year > sinceYear && d.properties.year <= year);
+  }
+
+  layer.style("pointer-events", visible ? null : "none")
+    .interrupt()
+    .transition()
+    .duration(motionDuration(duration))
+    .attr("opacity", visible ? 1 : 0);
+}
+
+function setupCessions() {
+  const toggle = document.getElementById("toggle-cessions");
+  const about = document.getElementById("about-cessions");
+
+  if (about) {
+    about.hidden = !FOOTNOTES.cessions;
+    about.addEventListener("click", (e) => {
+      e.stopPropagation();
+      openFootnote("cessions");
+    });
+  }
+
+  if (!toggle) return;
+  toggle.addEventListener("click", (e) => {
+    e.stopPropagation();
+    showCessions = !showCessions;
+    toggle.setAttribute("aria-pressed", String(showCessions));
+    hideTooltip();
+    refreshOverlayLayers(400);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Unrealised claims layer
+// ─────────────────────────────────────────────────────────────
+
+// Claims pressed at a step that never became US territory (54°40′, All
+// Mexico...). Only the unrealised part is drawn, hatched so it reads as
+// neither an acquisition nor a disputed area (see scripts/build-claims.js).
+
+function claimTooltip(feature) {
+  const { name, claimant, from, to, detail } = feature.properties;
+  const [lon, lat] = d3.geoCentroid(feature);
+  return {
+    name,
+    detail: `${claimant} · ${from}–${to}`,
+    note: detail,
+    lon,
+    lat,
+  };
+}
+
+// Show the claims `isShown` accepts; null hides the layer
+function updateClaimsLayer(svg, isShown, duration = 800) {
+  const layer = svg.select(".layer-claims");
+  const visible = showClaims && isShown !== null;
+
+  if (visible) {
+    layer.selectAll(".claim").classed("is-shown", isShown);
+  }
+
+  layer.style("pointer-events", visible ? null : "none")
+    .interrupt()
+    .transition()
+    .duration(motionDuration(duration))
+    .attr("opacity", visible ? 1 : 0);
+}
+
+function setupClaims() {
+  const toggle = document.getElementById("toggle-claims");
+  const about = document.getElementById("about-claims");
+
+  if (about) {
+    about.hidden = !FOOTNOTES.claims;
+    about.addEventListener("click", (e) => {
+      e.stopPropagation();
+      openFootnote("claims");
+    });
+  }
+
+  if (!toggle) return;
+  toggle.addEventListener("click", (e) => {
+    e.stopPropagation();
+    showClaims = !showClaims;
+    toggle.setAttribute("aria-pressed", String(showClaims));
+    hideTooltip();
+    refreshOverlayLayers(400);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Image export
+// ─────────────────────────────────────────────────────────────
+
+// "Download image" saves what the map shows right now (the current step, the
+// overview or the explore year) as SVG or PNG, cropped to the part not under
+// the story panel and credited as in the README
+const EXPORT_CREDITS = ["export.credit"];
+
+function exportCaption() {
+  if (isExploring) return t("export.exploreCaption", { year: Math.floor(exploreYear) });
+  if (compareSteps) {
+    const [thenStep, nowStep] = compareSteps;
+    return t("export.compareCaption", {
+      title: pageLabel(pageElements[currentPage]),
+      then: MAP_STEPS[thenStep].year,
+      now: MAP_STEPS[nowStep].year,
+    });
+  }
+  return pageLabel(pageElements[currentPage]);
+}
+
+function exportFilename(caption, extension) {
+  const slug = caption.toLowerCase().normalize("NFD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  return `us-territorial-expansion-${slug}.${extension}`;
+}
+
+function serializeCurrentMap(caption) {
+  const panelWidth = isDesktop() ? STORY_PANEL_WIDTH : 0;
+  return serializeMap(document.getElementById("map"), {
+    title: document.title,
+    caption,
+    credits: [...EXPORT_CREDITS.map((key) => t(key)), `${location.host}${location.pathname}`],
+    viewBox: [panelWidth, 0, baseWidth - panelWidth, baseHeight],
+    compare: compareSteps && { svgEl: document.getElementById("map-compare"), splitX: compareSplitX() },
+  });
+}
+
+async function downloadMapImage(format, pixelWidth) {
+  const caption = exportCaption();
+  const markup = serializeCurrentMap(caption);
+
+  const blob = format === "svg"
+    ? new Blob([markup], { type: "image/svg+xml" })
+    : await rasterizeSvg(markup, pixelWidth);
+  downloadBlob(blob, exportFilename(caption, format));
+}
+
+function setupExport() {
+  const toggle = document.getElementById("toggle-export");
+  const panel = document.getElementById("export-panel");
+  if (!toggle || !panel) return;
+
+  const width = panel.elements.width;
+  const submit = panel.querySelector(".export-submit");
+  const error = document.getElementById("export-error");
+
+  const setOpen = (open) => {
+    panel.hidden = !open;
+    toggle.setAttribute("aria-expanded", String(open));
+    error.hidden = true;
+  };
+
+  toggle.addEventListener("click", (e) => {
+    e.stopPropagation();
+    setOpen(panel.hidden);
+  });
+  panel.addEventListener("click", (e) => e.stopPropagation());
+  document.addEventListener("click", () => {
+    if (!panel.hidden) setOpen(false);
+  });
+  panel.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      setOpen(false);
+      toggle.focus();
+    }
+  });
+
+  // The width only applies to PNG; SVG scales on its own
+  panel.addEventListener("change", () => {
+    width.disabled = panel.elements.format.value === "svg";
+  });
+
+  panel.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    submit.disabled = true;
+    error.hidden = true;
+    try {
+      await downloadMapImage(panel.elements.format.value, Number(width.value));
+      setOpen(false);
+    } catch (err) {
+      console.warn("[export] could not create the image", err);
+      error.hidden = false;
+    } finally {
+      submit.disabled = false;
+    }
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Headless render mode
+// ─────────────────────────────────────────────────────────────
+
+// ?render=frames turns the page into a frame source for
+// scripts/render-story-video.js: it steps through every MAP_STEPS entry with
+// renderMapStep() on a virtual clock and posts each frame to the script's
+// server, framed like the image export with the step's page label as the
+// caption.
+const renderParams = new URLSearchParams(location.search);
+const RENDER_MODE = renderParams.get("render") === "frames";
+const RENDER_TRANSITION_MS = 800;
+const RENDER_HOLD_MS = 2200;
+
+// d3's timers read performance.now(). Freezing it and advancing it by hand
+// lands every transition on exact frame times, however long a frame takes
+// to capture.
+function useVirtualClock() {
+  let time = performance.now();
+  performance.now = () => time;
+
+  return async (ms) => {
+    time += ms;
+    // d3 caches "now" until the next animation frame; let that pass, then
+    // run every timer due by the new time
+    await new Promise((resolve) => requestAnimationFrame(resolve));
+    d3.timerFlush();
+  };
+}
+
+async function postRenderFrame(index, caption, pixelWidth) {
+  const png = await rasterizeSvg(serializeCurrentMap(caption), pixelWidth);
+  const response = await fetch(`/__render/frame/${index}`, { method: "POST", body: png });
+  if (!response.ok) throw new Error(`frame ${index} was rejected (${response.status})`);
+}
+
+async function renderStoryFrames(svg, overlaysLoaded) {
+  const fps = Number(renderParams.get("fps")) || 30;
+  const pixelWidth = Number(renderParams.get("width")) || 1280;
+  const frameMs = 1000 / fps;
+  const framesPerStep = Math.round((RENDER_TRANSITION_MS + RENDER_HOLD_MS) / frameMs);
+
+  try {
+    // Every layer in from the start; the redraw their arrival schedules
+    // runs before the first frame
+    await overlaysLoaded;
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    motionOverride = "full";
+    canvasZoom = false;
+    const advance = useVirtualClock();
+
+    let frame = 0;
+    for (let i = 0; i < MAP_STEPS.length; i++) {
+      renderMapStep(svg, geoDataByStep, i, {
+        opacity: 1,
+        duration: RENDER_TRANSITION_MS,
+        animate: i > 0,
+      });
+
+      const storyPage = pageElements.find((pageEl) => {
+        const info = getPageInfo(pageEl);
+        return info.type === "story" && info.step === i;
+      });
+      const caption = storyPage ? pageLabel(storyPage) : MAP_STEPS[i].year;
+      for (let f = 0; f < framesPerStep; f++) {
+        await postRenderFrame(frame++, caption, pixelWidth);
+        await advance(frameMs);
+      }
+    }
+
+    await fetch("/__render/done", { method: "POST", body: JSON.stringify({ frames: frame, fps }) });
+  } catch (error) {
+    console.error("[render]", error);
+    await fetch("/__render/error", { method: "POST", body: String(error?.stack || error) });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Explore mode (year slider)
+// ─────────────────────────────────────────────────────────────
+
+// Numeric year of a step ("1899–1959" → 1899)
+function stepYear(step) {
+  return parseInt(step.year, 10);
+}
+
+// Last full year a step covers ("1899–1959" → 1959, "2025–26" → 2025)
+function stepEndYear(step) {
+  const years = step.year.match(/\d{4}/g);
+  return parseInt(years[years.length - 1], 10);
+}
+
+// Latest story step whose acquisition year has been reached
+function stepIndexForYear(year) {
+  let index = 0;
+  MAP_STEPS.forEach((step, i) => {
+    if (stepYear(step) <= year) index = i;
+  });
+  return index;
+}
+
+// Latest yearly boundary file whose snapshot year has been reached; the
+// file names carry the snapshot year (1789-original-states.geojson)
+function snapshotIndexForYear(year) {
+  let index = 0;
+  MAP_STEPS.forEach((step, i) => {
+    if (parseInt(step.file, 10) <= year && geoDataByStep[i]) index = i;
+  });
+  return index;
+}
+
+function exploreFill(era, acquiredYear, year) {
+  const candy = ERA_COLORS[era] || ESTABLISHED_COLOR;
+  const age = year - acquiredYear;
+  if (age < 0) return CONTEXT_COLOR;
+  if (age < EXPLORE_FADE_IN_YEARS) {
+    return d3.interpolateRgb(CONTEXT_COLOR, candy)(age / EXPLORE_FADE_IN_YEARS);
+  }
+  const settle = Math.min(1, (age - EXPLORE_FADE_IN_YEARS) / EXPLORE_SETTLE_YEARS);
+  return d3.interpolateRgb(candy, ESTABLISHED_COLOR)(settle);
+}
+
+function renderExploreYear(svg, year, options = {}) {
+  const { duration = EXPLORE_TICK_MS, animate = true } = options;
+
+  if (!acquisitionsData) return;
+
+  const step = MAP_STEPS[stepIndexForYear(year)];
+  applyZoomLevel(step.zoom, animate && duration > 0, 800);
+
+  updateBoundariesLayer(svg, snapshotIndexForYear(year), duration);
+  updateStatehoodLayer(svg, Math.floor(year), Math.floor(year) - EXPLORE_FADE_IN_YEARS, duration);
+  updateCessionsLayer(svg, Math.floor(year), Math.floor(year) - EXPLORE_FADE_IN_YEARS, duration);
+  updateClaimsLayer(svg, (d) => d.properties.from <= year && year < d.properties.to + 1, duration);
+  updateMapDescription(stepIndexForYear(year));
+
+  const acqLayer = svg.select(".layer-acquisitions");
+  acquisitionsData.features.forEach((feature) => {
+    const era = feature.properties.era;
+    const acquiredStep = MAP_STEPS[feature.properties.step];
+    const sel = acqLayer.select(`.acquisition-${era}`);
+    if (sel.empty() || !acquiredStep) return;
+
+    sel.interrupt()
+      .transition()
+      .duration(motionDuration(duration))
+      .ease(d3.easeLinear)
+      .attr("opacity", 1)
+      .attr("fill", exploreFill(era, stepYear(acquiredStep), year));
+  });
+
+  const overseas = setOverseasStyle(svg, {
+    opacity: 1,
+    fill: ({ properties: { era, acquired, relinquished } }) =>
+      (relinquished && year >= relinquished ? CONTEXT_COLOR : exploreFill(era, acquired, year)),
+  });
+  acqLayer.selectAll(".overseas")
+    .interrupt()
+    .transition()
+    .duration(motionDuration(duration))
+    .ease(d3.easeLinear)
+    .attr("opacity", overseas.opacity)
+    .attr("fill", overseas.fill);
+
+  const labelsLayer = svg.select(".layer-labels");
+  labelsLayer.selectAll(".rhetoric-label, .acquisition-label")
+    .interrupt()
+    .style("pointer-events", "none")
+    .attr("opacity", 0);
+  highlightRhetoricTargets(svg, false);
+  hideTooltip();
+
+  updateExploreReadout(year);
+  currentMapStep = -3; // Special value for explore mode
+}
+
+function updateExploreReadout(year) {
+  const slider = document.getElementById("explore-year");
+  const readout = document.getElementById("explore-readout");
+  const wholeYear = Math.floor(year);
+
+  slider.value = year;
+  slider.setAttribute("aria-valuetext", String(wholeYear));
+
+  // Name the most recent acquisition so the reader knows what just changed
+  const latest = ACQUISITION_LABELS
+    .filter((label) => parseInt(label.year, 10) <= wholeYear)
+    .pop();
+  readout.textContent = latest ? `${wholeYear} · ${latest.name}` : String(wholeYear);
+}
+
+function setExploreYear(year, options) {
+  exploreYear = Math.max(EXPLORE_START_YEAR, Math.min(year, EXPLORE_END_YEAR));
+  renderExploreYear(d3.select("#map"), exploreYear, options);
+}
+
+function playExplore() {
+  if (exploreYear >= EXPLORE_END_YEAR) setExploreYear(EXPLORE_START_YEAR, { duration: 0 });
+
+  exploreTimer = d3.interval(() => {
+    setExploreYear(exploreYear + EXPLORE_YEAR_STEP);
+    if (exploreYear >= EXPLORE_END_YEAR) pauseExplore();
+  }, EXPLORE_TICK_MS);
+  updateExplorePlayButton();
+}
+
+function pauseExplore() {
+  if (exploreTimer) exploreTimer.stop();
+  exploreTimer = null;
+  updateExplorePlayButton();
+}
+
+function updateExplorePlayButton() {
+  const btn = document.getElementById("explore-play");
+  const playing = exploreTimer !== null;
+  btn.classList.toggle("is-playing", playing);
+  btn.setAttribute("aria-label", playing ? t("explore.pause") : t("explore.play"));
+}
+
+function enterExplore() {
+  if (isExploring) return;
+  exitFreeZoom({ restore: false });
+  hideComparison(); // exitExplore() brings it back with the page
+  isExploring = true;
+
+  if (window.closeNotesModal) window.closeNotesModal();
+  if (window.closeFootnotePanel) window.closeFootnotePanel();
+
+  document.getElementById("viewer").classList.add("is-exploring");
+  document.getElementById("map-layer").classList.remove("is-thumbnail");
+  document.getElementById("explore-bar").hidden = false;
+
+  updateAllPaths(d3.select("#map"));
+  setExploreYear(exploreYear, { duration: 800 });
+  document.getElementById("explore-year").focus();
+}
+
+function exitExplore() {
+  if (!isExploring) return;
+  pauseExplore();
+  isExploring = false;
+
+  document.getElementById("viewer").classList.remove("is-exploring");
+  document.getElementById("explore-bar").hidden = true;
+
+  // Restore the page's own map (and its boundaries setting)
+  const svg = d3.select("#map");
+  currentZoomLevel = null;
+  renderCurrentPageInstant(svg);
+}
+
+function setupExplore() {
+  const slider = document.getElementById("explore-year");
+  const playBtn = document.getElementById("explore-play");
+  const closeBtn = document.getElementById("explore-close");
+  if (!slider) return;
+
+  slider.min = EXPLORE_START_YEAR;
+  slider.max = EXPLORE_END_YEAR;
+  slider.step = EXPLORE_YEAR_STEP;
+
+  slider.addEventListener("input", () => {
+    pauseExplore();
+    setExploreYear(parseFloat(slider.value), { duration: 150 });
+  });
+
+  playBtn.addEventListener("click", () => {
+    if (exploreTimer) {
+      pauseExplore();
+    } else {
+      playExplore();
+    }
+  });
+
+  closeBtn.addEventListener("click", exitExplore);
+
+  document.querySelectorAll('[data-action="explore"]').forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      enterExplore();
+    });
+  });
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && isExploring) exitExplore();
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Then and now comparison
+// ─────────────────────────────────────────────────────────────
+
+// The comparison page draws its "then" step on #map as usual and its "now"
+// step on #map-compare, stacked on top: built by initializeMap(), coloured by
+// colorAcquisitions() and redrawn by updateAllPaths(), so both maps share
+// the projection and zoom together. A slider clips the top map to the right
+// of a divider. Overlay layers, the area chart and the map description
+// follow the "then" map; the page lists what differs between the two.
+let compareSteps = null; // [then, now] step indices while the comparison page is shown
+let compareMapReady = false; // #map-compare built for the current layout
+
+function readCompareSteps() {
+  const form = document.querySelector(".page--compare .compare-form");
+  return [Number(form.elements.then.value), Number(form.elements.now.value)];
+}
+
+// The wider of the two steps' zoom levels
+function compareZoomLevel(steps) {
+  return steps
+    .map((i) => MAP_STEPS[i].zoom)
+    .sort((a, b) => ZOOM_LEVELS[a].scale - ZOOM_LEVELS[b].scale)[0];
+}
+
+// Acquisitions made after the earlier step up to the later one, and overseas
+// territories given up in between
+function compareDifferences(steps) {
+  const [from, to] = [...steps].sort((a, b) => a - b);
+  const fromYear = stepEndYear(MAP_STEPS[from]);
+  const toYear = stepEndYear(MAP_STEPS[to]);
+
+  const gained = acquisitionsData.features
+    .filter(({ properties: { step } }) => step > from && step <= to)
+    .map(({ properties }) => ({
+      era: properties.era,
+      name: MAP_STEPS[properties.step].name || properties.label,
+      year: MAP_STEPS[properties.step].year,
+      area: properties.area_sq_mi,
+    }));
+
+  const lost = [];
+  (overseasData?.features || []).forEach((feature) => {
+    const { era, name, acquired, relinquished } = feature.properties;
+    const arrives = overseasStep(feature);
+    const leaves = relinquished > fromYear && relinquished <= toYear;
+    if (arrives > from && arrives <= to && !(relinquished <= toYear)) {
+      gained.push({ era, name: translateData(name), year: String(acquired) });
+    } else if (arrives <= from && leaves) {
+      lost.push({ era, name: translateData(name), year: String(relinquished) });
+    }
+  });
+
+  return { from, to, gained, lost };
+}
+
+function renderCompareDiff(container, steps) {
+  const { from, to, gained, lost } = compareDifferences(steps);
+  container.replaceChildren();
+  const diff = d3.select(container);
+
+  if (from === to) {
+    diff.append("p").attr("class", "compare-empty").text(t("compare.pickTwo"));
+    return;
+  }
+
+  const list = (title, items) => {
+    if (!items.length) return;
+    diff.append("h3").text(title);
+    const li = diff.append("ul").attr("class", "compare-list")
+      .selectAll("li")
+      .data(items)
+      .join("li");
+    li.append("span")
+      .attr("class", "compare-swatch")
+      .style("background", (d) => ERA_COLORS[d.era] || ESTABLISHED_COLOR);
+    li.append("strong").text((d) => d.name);
+    li.append("span").text((d) => [` ${d.year}`, d.area && `${formatArea(d.area)} ${t("unit.sqMi")}`]
+      .filter(Boolean).join(" · "));
+  };
+
+  const [fromStep, toStep] = [MAP_STEPS[from], MAP_STEPS[to]];
+  const area = d3.sum(gained, (d) => d.area || 0);
+  diff.append("p")
+    .attr("class", "compare-total")
+    .text(area
+      ? t("compare.added", { area: formatArea(area), from: fromStep.year, to: toStep.year })
+      : t("compare.noNewLand", { from: fromStep.year, to: toStep.year }));
+  list(t("compare.acquired"), gained);
+  list(t("compare.givenUp"), lost);
+}
+
+// Divider position, from the slider, across the part of the map not under
+// the story panel
+function compareSplitX() {
+  const slider = document.getElementById("compare-split");
+  const left = isDesktop() ? STORY_PANEL_WIDTH : 0;
+  return left + (baseWidth - left) * (Number(slider.value) / 100);
+}
+
+function updateCompareSplit() {
+  if (!document.getElementById("compare-split")) return;
+  const x = compareSplitX();
+  d3.select("#map-compare").style("clip-path", `inset(0 0 0 ${x}px)`);
+  document.querySelector(".compare-divider").style.left = `${x}px`;
+}
+
+function renderComparison(svg, { duration = 800, animate = true } = {}) {
+  compareSteps = readCompareSteps();
+  const [thenStep, nowStep] = compareSteps;
+
+  renderMapStep(svg, geoDataByStep, thenStep, {
+    opacity: 1,
+    duration,
+    animate,
+    zoom: compareZoomLevel(compareSteps),
+  });
+
+  const compareSvg = d3.select("#map-compare")
+    .attr("viewBox", `0 0 ${baseWidth} ${baseHeight}`)
+    .attr("preserveAspectRatio", "xMidYMid meet");
+  if (!compareMapReady) {
+    initializeMap(compareSvg);
+    compareMapReady = true;
+  }
+  colorAcquisitions(compareSvg, nowStep, { duration });
+  currentMapStep = -4; // Special value: zoomed for two steps, not one
+
+  document.getElementById("viewer").classList.add("is-comparing");
+  document.getElementById("compare-then-year").textContent = MAP_STEPS[thenStep].year;
+  document.getElementById("compare-now-year").textContent = MAP_STEPS[nowStep].year;
+  renderCompareDiff(document.querySelector(".page--compare .compare-diff"), compareSteps);
+  updateCompareSplit();
+}
+
+function hideComparison() {
+  if (!compareSteps) return;
+  compareSteps = null;
+  document.getElementById("viewer").classList.remove("is-comparing");
+}
+
+function setupComparison() {
+  const form = document.querySelector(".page--compare .compare-form");
+  const slider = document.getElementById("compare-split");
+  if (!form || !slider) return;
+
+  form.addEventListener("submit", (e) => e.preventDefault());
+  form.addEventListener("change", () => renderComparison(d3.select("#map")));
+  slider.addEventListener("input", updateCompareSplit);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Free pan and zoom
+// ─────────────────────────────────────────────────────────────
+
+// "Explore the map" attaches d3.zoom to #map for wheel, pinch and drag, and
+// to #map-compare, which covers it on the comparison page; the two share one
+// transform. The zoom transform isn't applied to the SVG: it is folded into
+// the projection (the page's preset zoom level, scaled and shifted), and
+// every layer is redrawn through path as in applyZoomLevel(). Labels and
+// strokes keep their screen size at any scale, and the canvas renderer and
+// geometry tiers apply as they do for preset zooms. "Return to story view", a page change
+// or Escape zooms back to the preset.
+const FREE_ZOOM_LEVEL = "free"; // currentZoomLevel while zoomed freely
+const FREE_ZOOM_SCALE_EXTENT = [0.8, 16]; // relative to the "full" zoom level
+const FREE_ZOOM_DBLCLICK_MS = 250; // d3.zoom's own double-click zoom
+
+let freeZoom = null; // { behavior, baseLevel } while zoomed freely
+
+// Double-click zooms jump when motion is reduced
+function freeZoomDuration() {
+  return reducedMotion() ? 0 : FREE_ZOOM_DBLCLICK_MS;
+}
+
+// Reproject from the base level's preset through a d3.zoom transform
+function reprojectFreeZoom(svg, transform, onCanvas = false) {
+  const { scale, translate: [tx, ty] } = zoomProjections[freeZoom.baseLevel];
+  projection.scale(scale * transform.k);
+  projection.translate([tx * transform.k + transform.x, ty * transform.k + transform.y]);
+  path.projection(projection);
+  currentZoomLevel = FREE_ZOOM_LEVEL;
+
+  if (onCanvas) {
+    drawCanvasFrame(svg);
+    updateLabelPositions(svg);
+  } else {
+    updateAllPaths(svg, 0);
+  }
+}
+
+// Preset zoom level closest below the current scale, whose geometry tier is
+// detailed enough to draw it
+function zoomLevelForScale(scale) {
+  const relative = scale / zoomProjections.full.scale;
+  return Object.keys(ZOOM_LEVELS)
+    .filter((key) => ZOOM_LEVELS[key].scale <= relative)
+    .sort((a, b) => ZOOM_LEVELS[b].scale - ZOOM_LEVELS[a].scale)[0] || "full";
+}
+
+// Scale and pan limits in the base level's screen coordinates: from a bit
+// wider than the full view to a close-up, without losing the map off screen
+function constrainFreeZoom(behavior, baseLevel) {
+  const relativeScale = zoomProjections[baseLevel].scale / zoomProjections.full.scale;
+  const [[x0, y0], [x1, y1]] = path.bounds({ type: "FeatureCollection", features: contextCountries.features });
+  behavior
+    .extent([[0, 0], [baseWidth, baseHeight]])
+    .scaleExtent(FREE_ZOOM_SCALE_EXTENT.map((k) => k / relativeScale))
+    .translateExtent([[x0 - baseWidth / 2, y0 - baseHeight / 2], [x1 + baseWidth / 2, y1 + baseHeight / 2]]);
+}
+
+function setFreeZoomControls(active) {
+  document.getElementById("viewer").classList.toggle("is-free-zoom", active);
+  document.getElementById("toggle-free-zoom")?.setAttribute("aria-pressed", String(active));
+  const returnBtn = document.getElementById("free-zoom-return");
+  if (returnBtn) returnBtn.hidden = !active;
+}
+
+function enterFreeZoom() {
+  if (freeZoom || !zoomProjections[currentZoomLevel]) return;
+  if (isExploring) exitExplore();
+  closeDetailCard();
+
+  // Take over from a preset zoom still running
+  d3.interrupt(document.documentElement);
+  isZooming = false;
+
+  const svg = d3.select("#map");
+  const surfaces = d3.selectAll("#map, #map-compare");
+  const baseLevel = currentZoomLevel;
+  applyZoomLevel(baseLevel, false);
+
+  let onCanvas = false;
+  const behavior = d3.zoom()
+    .duration(freeZoomDuration())
+    .on("start", () => {
+      isZooming = true;
+      onCanvas = canvasZoom && canvasContext;
+      if (onCanvas) startCanvasZoom(svg);
+      hideTooltip();
+    })
+    .on("zoom", ({ transform }) => {
+      // Whichever SVG took the gesture, the other starts the next one from here
+      surfaces.property("__zoom", transform);
+      reprojectFreeZoom(svg, transform, onCanvas);
+    })
+    .on("end", () => {
+      isZooming = false;
+      if (onCanvas) endCanvasZoom(svg);
+      onCanvas = false;
+      refineGeometry(zoomLevelForScale(projection.scale()));
+    });
+
+  freeZoom = { behavior, baseLevel };
+  constrainFreeZoom(behavior, baseLevel);
+  surfaces.call(behavior);
+  svg.call(behavior.transform, d3.zoomIdentity);
+
+  document.getElementById("map-layer").classList.remove("is-thumbnail");
+  setFreeZoomControls(true);
+}
+
+// Detach the zoom behaviour and, unless `restore` is false (the caller
+// renders a zoom of its own), zoom back to the preset. Returns the preset
+// zoom level, or null if the map wasn't zoomed freely.
+function exitFreeZoom({ restore = true } = {}) {
+  if (!freeZoom) return null;
+  const { behavior, baseLevel } = freeZoom;
+  freeZoom = null;
+
+  // Also silences a double-click zoom still easing in
+  behavior.on("start zoom end", null);
+  d3.selectAll("#map, #map-compare").on(".zoom", null);
+  setFreeZoomControls(false);
+
+  if (restore) {
+    applyZoomLevel(baseLevel, true, 800);
+    const { type } = getPageInfo(pageElements[currentPage]);
+    document.getElementById("map-layer")
+      .classList.toggle("is-thumbnail", type === "story" && !isDesktop() && !isExploring);
+  }
+  return baseLevel;
+}
+
+function setupFreeZoom() {
+  const toggle = document.getElementById("toggle-free-zoom");
+  const returnBtn = document.getElementById("free-zoom-return");
+  if (!toggle) return;
+
+  toggle.addEventListener("click", (e) => {
+    e.stopPropagation();
+    if (freeZoom) {
+      exitFreeZoom();
+    } else {
+      enterFreeZoom();
+    }
+  });
+
+  returnBtn?.addEventListener("click", (e) => {
+    e.stopPropagation();
+    exitFreeZoom();
+    toggle.focus();
+  });
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && freeZoom) exitFreeZoom();
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Page navigation
+// ─────────────────────────────────────────────────────────────
+
+function getPageInfo(pageEl) {
+  return {
+    type: pageEl.dataset.type,
+    step: pageEl.dataset.step !== undefined ? parseInt(pageEl.dataset.step) : null,
+  };
+}
+
+function goToPage(newPage, { updateHistory = true } = {}) {
+  newPage = Math.max(0, Math.min(newPage, totalPages - 1));
   if (newPage === currentPage) return;
 
+  // Leave explore mode so the page's own map takes over
+  if (isExploring) exitExplore();
+  const freeZoomLevel = exitFreeZoom({ restore: false });
+
   // Close notes modal if open
   if (window.closeNotesModal) window.closeNotesModal();
   // Close footnote panel if open
   if (window.closeFootnotePanel) window.closeFootnotePanel();
+  closeDetailCard();
 
   const svg = d3.select("#map");
   const mapLayer = document.getElementById("map-layer");
@@ -724,21 +2691,28 @@ function goToPage(newPage) {
 
   const pageEl = pageElements[newPage];
   const { type, step } = getPageInfo(pageEl);
+  if (type !== "compare") hideComparison();
 
   if (type === "intro") {
     mapLayer.classList.remove("is-thumbnail");
     // Keep current map step, just dim it
     updateMapOpacity(svg, 0.15, 600);
+    updateOverlayLayers(svg, null, 600);
+    updateAreaChart(null, 600);
   } else if (type === "transition") {
     mapLayer.classList.remove("is-thumbnail");
     if (step !== currentMapStep) {
       renderMapStep(svg, geoDataByStep, step, { opacity: 1, duration: 800 });
     } else {
       updateMapOpacity(svg, 1, 600);
+      updateOverlayLayers(svg, overlayStepForPage(newPage), 600);
     }
   } else if (type === "overview") {
     mapLayer.classList.remove("is-thumbnail");
     renderOverviewMap(svg, { opacity: 1, duration: 800 });
+  } else if (type === "compare") {
+    mapLayer.classList.remove("is-thumbnail");
+    renderComparison(svg, { duration: 800 });
   } else if (type === "story") {
     if (desktop) {
       mapLayer.classList.remove("is-thumbnail");
@@ -749,12 +2723,19 @@ function goToPage(newPage) {
       renderMapStep(svg, geoDataByStep, step, { opacity: 1, duration: desktop ? 800 : 400 });
     } else {
       updateMapOpacity(svg, 1, desktop ? 800 : 400);
+      updateOverlayLayers(svg, overlayStepForPage(newPage), desktop ? 800 : 400);
     }
   }
 
+  // Pages that keep the previous step's map zoom back to it
+  if (currentZoomLevel === FREE_ZOOM_LEVEL) applyZoomLevel(freeZoomLevel, true);
+
   currentPage = newPage;
+  if (updateHistory) writePageHash("push");
   updateTimeline();
   updateEdgeNav();
+  announcePage(newPage);
+  postPresenterState();
 }
 
 function nextPage() {
@@ -773,6 +2754,53 @@ function prevPage() {
   }
 }
 
+// ─────────────────────────────────────────────────────────────
+// URL hash (deep links)
+// ─────────────────────────────────────────────────────────────
+
+// Hashes look like #story-mexican or #transition-louisiana; pages with an
+// id (the notes page) use it directly, and the intro has no hash at all
+function pageToHash(pageIndex) {
+  const pageEl = pageElements[pageIndex];
+  if (!pageEl || pageIndex === 0) return "";
+  if (pageEl.id) return `#${pageEl.id}`;
+
+  const { type, step } = getPageInfo(pageEl);
+  const mapStep = MAP_STEPS[step];
+  return mapStep ? `#${type}-${mapStep.era}` : `#${type}`;
+}
+
+function hashToPage(hash) {
+  const key = hash.replace(/^#/, "");
+  if (!key) return 0;
+  const index = pageElements.findIndex((_, i) => pageToHash(i) === `#${key}`);
+  return index === -1 ? null : index;
+}
+
+function writePageHash(mode) {
+  const hash = pageToHash(currentPage);
+  if (hash === location.hash) return;
+
+  // An empty hash would leave a dangling "#" in the URL, so drop it entirely
+  const url = hash || location.pathname + location.search;
+  const state = { page: currentPage };
+  if (mode === "push") {
+    history.pushState(state, "", url);
+  } else {
+    history.replaceState(state, "", url);
+  }
+}
+
+function setupHistory() {
+  window.addEventListener("popstate", () => {
+    const page = hashToPage(location.hash);
+    if (page === null) return;
+    goToPage(resolveNavigablePage(page), { updateHistory: false });
+    // Desktop may have remapped a transition page; keep the URL honest
+    writePageHash("replace");
+  });
+}
+
 // ─────────────────────────────────────────────────────────────
 // Edge navigation arrows
 // ─────────────────────────────────────────────────────────────
@@ -824,6 +2852,7 @@ function buildTimeline() {
     const bar = document.createElement("button");
     bar.className = "timeline-bar";
     bar.dataset.page = i;
+    bar.setAttribute("aria-label", pageLabel(pageEl));
 
     if (type === "intro") {
       bar.classList.add("timeline-bar--intro");
@@ -848,6 +2877,213 @@ function updateTimeline() {
   });
 }
 
+// ─────────────────────────────────────────────────────────────
+// Cumulative area chart
+// ─────────────────────────────────────────────────────────────
+
+const AREA_CHART_WIDTH = 120;
+const AREA_CHART_HEIGHT = 24;
+
+const formatAreaTotal = (sqMi) => `${format(".2~s")(sqMi)} ${t("unit.sqMi")}`;
+
+let areaBands = []; // one band per acquisition, populated by buildAreaChart()
+
+// Each acquisition is a band stacked on the ones before it, running from its
+// year to the end of the chart, so together they draw a step chart of total
+// area. Bands are coloured like the map: context, era colour, established.
+function buildAreaChart() {
+  const figure = document.getElementById("area-chart");
+  if (!figure || !acquisitionsData) return;
+
+  let total = 0;
+  areaBands = acquisitionsData.features
+    .filter((f) => MAP_STEPS[f.properties.step])
+    .sort((a, b) => a.properties.step - b.properties.step)
+    .map(({ properties: { era, step, area_sq_mi } }) => {
+      const lower = total;
+      total += area_sq_mi;
+      return { era, step, year: stepYear(MAP_STEPS[step]), lower, upper: total };
+    });
+
+  const x = d3.scaleLinear([areaBands[0].year, EXPLORE_END_YEAR], [0, AREA_CHART_WIDTH]);
+  const y = d3.scaleLinear([0, total], [AREA_CHART_HEIGHT, 0]);
+
+  d3.select(figure).select("svg").remove();
+  d3.select(figure)
+    .insert("svg", ".area-chart-value")
+    .attr("viewBox", `0 0 ${AREA_CHART_WIDTH} ${AREA_CHART_HEIGHT}`)
+    .attr("aria-hidden", "true")
+    .selectAll(".area-chart-band")
+    .data(areaBands)
+    .join("rect")
+    .attr("class", "area-chart-band")
+    .attr("x", (d) => x(d.year))
+    .attr("y", (d) => y(d.upper))
+    .attr("width", (d) => AREA_CHART_WIDTH - x(d.year))
+    .attr("height", (d) => y(d.lower) - y(d.upper))
+    .attr("fill", CONTEXT_COLOR);
+}
+
+// stepIndex null = intro (nothing acquired yet); past the last step = the
+// overview, where every band shows its era colour
+function updateAreaChart(stepIndex, duration = 800) {
+  const figure = document.getElementById("area-chart");
+  if (!figure || areaBands.length === 0) return;
+
+  const overview = stepIndex !== null && stepIndex >= MAP_STEPS.length;
+  const fill = (band) => {
+    if (overview) return ERA_COLORS[band.era] || ESTABLISHED_COLOR;
+    if (stepIndex === null || band.step > stepIndex) return CONTEXT_COLOR;
+    return band.step === stepIndex ? ERA_COLORS[band.era] || ESTABLISHED_COLOR : ESTABLISHED_COLOR;
+  };
+
+  d3.select(figure)
+    .selectAll(".area-chart-band")
+    .interrupt()
+    .transition()
+    .duration(motionDuration(duration))
+    .attr("fill", fill);
+
+  const acquired = stepIndex === null ? [] : areaBands.filter((band) => band.step <= stepIndex);
+  const total = acquired.length ? acquired[acquired.length - 1].upper : 0;
+
+  const label = figure.querySelector(".area-chart-value");
+  const from = Number(label.dataset.value) || 0;
+  label.dataset.value = total;
+  d3.select(label)
+    .interrupt()
+    .transition()
+    .duration(motionDuration(duration))
+    .tween("text", () => {
+      const value = d3.interpolateNumber(from, total);
+      return (t) => {
+        label.textContent = value(t) > 0 ? formatAreaTotal(value(t)) : "";
+      };
+    });
+
+  figure.setAttribute("aria-label", total
+    ? t("areaChart.labelTotal", { area: formatArea(total) })
+    : t("areaChart.label"));
+}
+
+// ─────────────────────────────────────────────────────────────
+// Screen reader support
+// ─────────────────────────────────────────────────────────────
+
+const FOCUSABLE = "a[href], button:not([disabled]), input, select, textarea, summary, [tabindex]:not([tabindex='-1'])";
+
+// Short spoken name for a page: "1803, Louisiana Purchase"
+function pageLabel(pageEl) {
+  const { type, step } = getPageInfo(pageEl);
+  const heading = pageEl.querySelector("h1, h2")?.textContent.trim();
+  const mapStep = (type === "story" || type === "transition") && MAP_STEPS[step];
+  return mapStep ? `${mapStep.year}, ${mapStep.name || heading}` : heading;
+}
+
+// Pages are slides in a carousel; only the active one is visible, so the
+// hidden ones are already skipped by screen readers
+function labelPages() {
+  pageElements.forEach((pageEl) => {
+    pageEl.setAttribute("role", "group");
+    pageEl.setAttribute("aria-roledescription", "slide");
+    pageEl.setAttribute("aria-label", pageLabel(pageEl));
+  });
+}
+
+function announcePage(pageIndex) {
+  const announcer = document.getElementById("page-announcer");
+  if (!announcer) return;
+  const indices = getNavigableIndices();
+  const position = indices.indexOf(pageIndex) + 1;
+  announcer.textContent = t("page.announce", {
+    label: pageLabel(pageElements[pageIndex]),
+    position,
+    count: indices.length,
+  });
+}
+
+// Text version of the map: one row per acquisition with its status as of
+// `stepIndex` (past the last step lists everything as acquired)
+function updateMapDescription(stepIndex) {
+  const table = document.getElementById("map-description");
+  if (!table || !acquisitionsData) return;
+
+  const step = MAP_STEPS[stepIndex];
+  let caption = t("description.overview");
+  if (step) {
+    caption = step.name
+      ? t("description.step", { year: step.year, name: step.name })
+      : t("description.year", { year: step.year });
+  }
+  table.querySelector("caption").textContent = caption;
+
+  const status = (featureStep) => {
+    if (featureStep > stepIndex) return t("description.future");
+    if (featureStep === stepIndex) return t("description.current");
+    return t("description.past");
+  };
+
+  const rows = acquisitionsData.features
+    .filter((f) => MAP_STEPS[f.properties.step])
+    .sort((a, b) => a.properties.step - b.properties.step)
+    .map(({ properties }) => {
+      const mapStep = MAP_STEPS[properties.step];
+      const area = acquisitionStat("area", properties);
+      const price = acquisitionStat("price", properties);
+      return {
+        step: properties.step,
+        name: mapStep.name || properties.label || mapStep.era,
+        cells: [
+          mapStep.year,
+          status(properties.step),
+          area ? `${area.value} ${area.label}` : "",
+          price ? price.value : t("detail.none"),
+        ],
+      };
+    });
+
+  // The name is a button that opens the acquisition's detail card. Rows are
+  // updated in place so a focused button survives a page change.
+  const tr = d3.select(table).select("tbody")
+    .selectAll("tr")
+    .data(rows)
+    .join((enter) => {
+      const row = enter.append("tr");
+      row.append("td")
+        .append("button")
+        .attr("type", "button")
+        .attr("class", "map-description-inspect")
+        .on("click", (event, d) => {
+          event.stopPropagation(); // Clicks outside the card close it
+          openAcquisitionCard(d.step);
+        });
+      return row;
+    });
+  tr.select("button").text((d) => d.name);
+  tr.selectAll("td:not(:first-child)")
+    .data((row) => row.cells)
+    .join("td")
+    .text((d) => d);
+}
+
+// Keep Tab within an open dialog
+function trapFocus(e, container) {
+  if (e.key !== "Tab") return;
+  const items = Array.from(container.querySelectorAll(FOCUSABLE))
+    .filter((el) => !el.closest("[hidden]"));
+  if (!items.length) return;
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
 // ─────────────────────────────────────────────────────────────
 // Swipe navigation
 // ─────────────────────────────────────────────────────────────
@@ -861,6 +3097,8 @@ function setupSwipe() {
   }, { passive: true });
 
   viewer.addEventListener("touchend", (e) => {
+    if (isExploring || freeZoom) return;
+
     const touchEndX = e.changedTouches[0].clientX;
     const touchEndY = e.changedTouches[0].clientY;
     const deltaX = touchEndX - touchStartX;
@@ -882,9 +3120,13 @@ function setupSwipe() {
 
 function setupKeyboard() {
   document.addEventListener("keydown", (e) => {
-    // Don't navigate when the footnote panel is open
-    const fp = document.getElementById("footnote-panel");
-    if (fp && fp.classList.contains("is-open")) return;
+    // Don't navigate behind the footnote panel or notes modal
+    if (document.querySelector(".footnote-panel.is-open, .notes-modal.is-open")) return;
+    // The explore slider owns the arrow keys
+    if (isExploring) return;
+    // Let form controls keep their keys, and Space activate buttons
+    if (e.target.closest("input, select, textarea")) return;
+    if (e.key === " " && e.target.closest("button, summary")) return;
 
     if (e.key === "ArrowRight" || e.key === "ArrowDown" || e.key === " ") {
       e.preventDefault();
@@ -892,6 +3134,10 @@ function setupKeyboard() {
     } else if (e.key === "ArrowLeft" || e.key === "ArrowUp") {
       e.preventDefault();
       prevPage();
+    } else if (e.key === "Home" || e.key === "End") {
+      e.preventDefault();
+      const indices = getNavigableIndices();
+      goToPage(e.key === "Home" ? indices[0] : indices[indices.length - 1]);
     }
   });
 }
@@ -904,32 +3150,47 @@ function setupClickNav() {
   const viewer = document.getElementById("viewer");
 
   viewer.addEventListener("click", (e) => {
-    if (e.target.closest(".timeline, .edge-nav, button, a, .page-story, .footnote-panel, .footnote-backdrop")) return;
-
-    const rect = viewer.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const threshold = rect.width * 0.25;
+    if (isExploring || freeZoom) return;
+    if (e.target.closest(".timeline, .edge-nav, button, a, .page-story, .footnote-panel, .footnote-backdrop, .map-controls, .statehood-panel, .compare-bar")) return;
 
-    if (x < threshold) {
+    const direction = clickNavDirection(e);
+    if (direction < 0) {
       prevPage();
-    } else if (x > rect.width - threshold) {
+    } else if (direction > 0) {
       nextPage();
     }
   });
 }
 
+// -1 for a click in the viewer's left quarter, 1 in its right quarter, else 0
+function clickNavDirection(event) {
+  const rect = document.getElementById("viewer").getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  const threshold = rect.width * 0.25;
+  if (x < threshold) return -1;
+  if (x > rect.width - threshold) return 1;
+  return 0;
+}
+
 function setupNotesModal() {
   const modal = document.getElementById("notes-modal");
   const closeBtn = document.getElementById("notes-modal-close");
 
   if (!modal) return;
 
+  let returnFocus = null;
+
   function openModal() {
+    returnFocus = document.activeElement;
     modal.classList.add("is-open");
+    closeBtn?.focus();
   }
 
   function closeModal() {
+    if (!modal.classList.contains("is-open")) return;
     modal.classList.remove("is-open");
+    returnFocus?.focus();
+    returnFocus = null;
   }
 
   // Open modal when clicking "See notes" links
@@ -952,10 +3213,13 @@ function setupNotesModal() {
     }
   });
 
-  // Close on Escape key
+  // Close on Escape key; keep Tab inside while open
   document.addEventListener("keydown", (e) => {
-    if (e.key === "Escape" && modal.classList.contains("is-open")) {
+    if (!modal.classList.contains("is-open")) return;
+    if (e.key === "Escape") {
       closeModal();
+    } else {
+      trapFocus(e, modal);
     }
   });
 
@@ -963,10 +3227,98 @@ function setupNotesModal() {
   window.closeNotesModal = closeModal;
 }
 
+// ─────────────────────────────────────────────────────────────
+// Presenter mode
+// ─────────────────────────────────────────────────────────────
+
+// "Presenter view" opens this page again with ?presenter (see presenter.js)
+// for whoever drives the story, e.g. from a laptop while this window is
+// projected. This window stays in charge: it posts the current page, its
+// speaker notes (`notes` in story.json) and a preview of the next page after
+// every page change, and goes wherever the presenter window asks.
+const PRESENTER_MODE = new URLSearchParams(location.search).has("presenter");
+const PRESENTER_EXCERPT_LENGTH = 180;
+
+let presenterChannel = null;
+let pageNotes = []; // speaker notes per page, populated on init
+
+// Heading and opening line of a page, for the "Next" preview
+function pagePreview(pageIndex) {
+  const pageEl = pageElements[pageIndex];
+  const text = pageEl.querySelector(".page-story p:not(.page-disclaimer), .page-tagline, .page-subtitle")
+    ?.textContent.trim().replace(/\s+/g, " ");
+  const excerpt = text && text.length > PRESENTER_EXCERPT_LENGTH
+    ? `${text.slice(0, PRESENTER_EXCERPT_LENGTH).replace(/\s+\S*$/, "")}…`
+    : text;
+  return {
+    label: pageLabel(pageEl),
+    heading: pageEl.querySelector("h1, h2")?.textContent.trim(),
+    excerpt,
+  };
+}
+
+// Transition pages are folded into their story page on desktop, so their
+// notes are read out there
+function notesForPage(pageIndex) {
+  const notes = pageNotes[pageIndex] || [];
+  const previous = pageElements[pageIndex - 1];
+  if (!isDesktop() || pageElements[pageIndex].dataset.type !== "story" || previous?.dataset.type !== "transition") {
+    return notes;
+  }
+  return [...(pageNotes[pageIndex - 1] || []), ...notes];
+}
+
+function presenterState() {
+  const indices = getNavigableIndices();
+  const position = indices.indexOf(currentPage);
+  const nextIndex = indices[position + 1];
+  return {
+    type: "state",
+    page: currentPage,
+    position: position + 1,
+    count: indices.length,
+    label: pageLabel(pageElements[currentPage]),
+    notes: notesForPage(currentPage),
+    next: nextIndex === undefined ? null : pagePreview(nextIndex),
+    pages: indices.map((page) => ({ page, label: pageLabel(pageElements[page]) })),
+  };
+}
+
+function postPresenterState() {
+  presenterChannel?.postMessage(presenterState());
+}
+
+function setupPresenter() {
+  const openButton = document.getElementById("open-presenter");
+  if (!("BroadcastChannel" in window)) {
+    openButton?.remove();
+    return;
+  }
+
+  presenterChannel = new BroadcastChannel(PRESENTER_CHANNEL);
+  presenterChannel.addEventListener("message", ({ data }) => {
+    if (data.type === "hello") postPresenterState();
+    else if (data.type === "next") nextPage();
+    else if (data.type === "prev") prevPage();
+    else if (data.type === "go" && pageElements[data.page]) goToPage(resolveNavigablePage(data.page));
+  });
+  window.addEventListener("pagehide", () => presenterChannel.postMessage({ type: "closed" }));
+
+  openButton?.addEventListener("click", (e) => {
+    e.stopPropagation();
+    window.open(`${location.pathname}?presenter&lang=${currentLocale()}`, "us-territorial-expansion-presenter", "popup,width=960,height=640");
+  });
+
+  // A presenter window left open from before a reload picks up from here
+  postPresenterState();
+}
+
 // ─────────────────────────────────────────────────────────────
 // Footnote side-story panel
 // ─────────────────────────────────────────────────────────────
 
+let footnoteReturnFocus = null; // element to refocus when the panel closes
+
 function setupFootnotes() {
   const panel = document.getElementById("footnote-panel");
   const closeBtn = document.getElementById("footnote-close");
@@ -986,11 +3338,16 @@ function setupFootnotes() {
   closeBtn.addEventListener("click", closeFootnote);
   backdrop.addEventListener("click", closeFootnote);
 
+  // Set up before explore mode and free zoom, which also listen for Escape
+  // on document, so the panel can keep its Escape to itself
   document.addEventListener("keydown", (e) => {
-    if (e.key === "Escape" && panel.classList.contains("is-open")) {
+    if (!panel.classList.contains("is-open")) return;
+    if (e.key === "Escape") {
       e.preventDefault();
-      e.stopPropagation();
+      e.stopImmediatePropagation();
       closeFootnote();
+    } else {
+      trapFocus(e, panel);
     }
   });
 
@@ -1007,34 +3364,95 @@ function openFootnote(id) {
   panel.querySelector(".footnote-title").textContent = data.title;
   panel.querySelector(".footnote-year").textContent = data.year;
 
+  // Body items are paragraphs (strings) or image embeds ({ src, alt, caption })
   const body = panel.querySelector(".footnote-body");
   body.innerHTML = "";
-  data.paragraphs.forEach((text) => {
-    const p = document.createElement("p");
-    p.textContent = text;
-    body.appendChild(p);
+  (data.paragraphs || []).forEach((item) => {
+    if (typeof item === "string") {
+      const p = document.createElement("p");
+      p.textContent = item;
+      body.appendChild(p);
+    } else if (item.src) {
+      body.appendChild(buildFootnoteFigure(item));
+    }
   });
 
   const mapContainer = panel.querySelector(".footnote-map");
   mapContainer.innerHTML = "";
-  if (data.mapBounds) {
-    renderFootnoteMiniMap(mapContainer, data);
+  if (data.map?.bounds) {
+    renderFootnoteMiniMap(mapContainer, data.map);
   }
 
+  if (!panel.classList.contains("is-open")) footnoteReturnFocus = document.activeElement;
   panel.classList.add("is-open");
   backdrop.classList.add("is-open");
+  document.getElementById("footnote-close")?.focus();
+}
+
+function buildFootnoteFigure({ src, alt = "", caption, credit }) {
+  const figure = document.createElement("figure");
+  figure.className = "footnote-figure";
+
+  const img = document.createElement("img");
+  img.src = src;
+  img.alt = alt;
+  img.loading = "lazy";
+  figure.appendChild(img);
+
+  if (caption || credit) {
+    const figcaption = document.createElement("figcaption");
+    figcaption.textContent = caption || "";
+    if (credit) {
+      const small = document.createElement("small");
+      small.textContent = credit;
+      figcaption.append(caption ? " " : "", small);
+    }
+    figure.appendChild(figcaption);
+  }
+  return figure;
 }
 
 function closeFootnote() {
   const panel = document.getElementById("footnote-panel");
   const backdrop = document.getElementById("footnote-backdrop");
-  if (panel) panel.classList.remove("is-open");
+  if (!panel?.classList.contains("is-open")) return;
+  panel.classList.remove("is-open");
   if (backdrop) backdrop.classList.remove("is-open");
+  footnoteReturnFocus?.focus();
+  footnoteReturnFocus = null;
+}
+
+// Acquisition colour in a mini-map showing the story as of `stepIndex`
+function miniMapFill(feature, stepIndex) {
+  const { step, era } = feature.properties;
+  if (step > stepIndex) return CONTEXT_COLOR;
+  return step === stepIndex ? ERA_COLORS[era] : ESTABLISHED_COLOR;
+}
+
+// Footnote polygons are written by hand, so accept either winding order:
+// a ring that d3 reads as covering most of the globe is reversed
+function annotationArea(coordinates) {
+  const polygon = { type: "Polygon", coordinates: [coordinates] };
+  if (d3.geoArea(polygon) > 2 * Math.PI) {
+    polygon.coordinates = [coordinates.slice().reverse()];
+  }
+  return polygon;
 }
 
-function renderFootnoteMiniMap(container, data) {
+// Mini-map for a footnote, declared in story.json under `map`:
+//   bounds            [[west, south], [east, north]] (required)
+//   step              story step whose acquisitions are coloured (default 0)
+//   beforeStep        adds a before/after toggle between this step and `step`
+//   highlightStates   FIPS ids from us-states-10m.json
+//   areas             [{ label, coordinates: [[lon, lat], ...] }] outlined regions,
+//                     as closed rings (the last point repeats the first)
+//   routes            [{ label, coordinates: [[lon, lat], ...] }] arrowed lines
+//                     (either may set `labelAt: [lon, lat]` to move its label)
+//   markers           [{ lon, lat, label }]
+function renderFootnoteMiniMap(container, map) {
   const width = 320;
   const height = 180;
+  const step = map.step ?? 0;
 
   const svg = d3.select(container)
     .append("svg")
@@ -1045,12 +3463,27 @@ function renderFootnoteMiniMap(container, data) {
     .style("border-radius", "8px")
     .style("background", "#eef1f5");
 
+  const defs = svg.append("defs");
+
   // Clip everything to the viewBox so off-screen geometry doesn't bleed
-  svg.append("defs").append("clipPath").attr("id", "fn-clip")
+  defs.append("clipPath").attr("id", "fn-clip")
     .append("rect").attr("width", width).attr("height", height);
+
+  defs.append("marker")
+    .attr("id", "fn-arrow")
+    .attr("viewBox", "0 0 10 10")
+    .attr("refX", 8)
+    .attr("refY", 5)
+    .attr("markerWidth", 6)
+    .attr("markerHeight", 6)
+    .attr("orient", "auto-start-reverse")
+    .append("path")
+    .attr("d", "M0,0L10,5L0,10z")
+    .attr("fill", "#e63946");
+
   const g = svg.append("g").attr("clip-path", "url(#fn-clip)");
 
-  const [[west, south], [east, north]] = data.mapBounds;
+  const [[west, south], [east, north]] = map.bounds;
 
   // Pad the bounds a little so we test feature overlap generously
   const pad = Math.max(east - west, north - south) * 0.5;
@@ -1084,28 +3517,21 @@ function renderFootnoteMiniMap(container, data) {
   }
 
   // Acquisition territories (only those near the viewport)
+  let acquisitions = null;
   if (acquisitionsData) {
-    const stepIndex = data.mapStep !== undefined ? data.mapStep : 0;
-    acquisitionsData.features.filter(inView).forEach((feature) => {
-      const featureStep = feature.properties.step;
-      const era = feature.properties.era;
-      let fill;
-      if (featureStep <= stepIndex) {
-        fill = featureStep === stepIndex ? ERA_COLORS[era] : ESTABLISHED_COLOR;
-      } else {
-        fill = CONTEXT_COLOR;
-      }
-
-      g.append("path")
-        .attr("d", miniPath(feature))
-        .attr("fill", fill)
-        .attr("stroke", "#fff")
-        .attr("stroke-width", 0.5)
-        .attr("opacity", 0.9);
-    });
+    acquisitions = g.selectAll(".mini-acquisition")
+      .data(acquisitionsData.features.filter(inView))
+      .enter()
+      .append("path")
+      .attr("class", "mini-acquisition")
+      .attr("d", miniPath)
+      .attr("fill", (d) => miniMapFill(d, step))
+      .attr("stroke", "#fff")
+      .attr("stroke-width", 0.5)
+      .attr("opacity", 0.9);
   }
 
-  // State borders for geographic context + highlighted state
+  // State borders for geographic context + highlighted states
   if (usStates) {
     const visibleStates = usStates.features.filter(inView);
 
@@ -1120,62 +3546,111 @@ function renderFootnoteMiniMap(container, data) {
       .attr("stroke-width", 0.5)
       .attr("opacity", 0.6);
 
-    // Highlight the featured state
-    if (data.highlightStateId) {
-      const stateFeature = visibleStates.find(f => f.id === data.highlightStateId);
-      if (stateFeature) {
-        g.append("path")
-          .attr("d", miniPath(stateFeature))
-          .attr("fill", "#fff")
-          .attr("fill-opacity", 0.3)
-          .attr("stroke", "#2a2d34")
-          .attr("stroke-width", 2);
-
-        // Label at marker position or state centroid
-        const labelCoords = data.mapMarker
-          ? [data.mapMarker.lon, data.mapMarker.lat]
-          : d3.geoCentroid(stateFeature);
-        const [lx, ly] = miniProjection(labelCoords);
-        if (lx && ly) {
-          g.append("text")
-            .attr("x", lx)
-            .attr("y", ly - 12)
-            .attr("text-anchor", "middle")
-            .attr("font-family", "Inter, system-ui, sans-serif")
-            .attr("font-size", "11px")
-            .attr("font-weight", "600")
-            .attr("fill", "#2a2d34")
-            .attr("stroke", "#eef1f5")
-            .attr("stroke-width", 2.5)
-            .attr("paint-order", "stroke")
-            .text(data.mapMarker?.label || "");
-        }
-      }
-    }
-  } else if (data.mapMarker) {
-    // Fallback: simple dot marker if no state outline available
-    const [mx, my] = miniProjection([data.mapMarker.lon, data.mapMarker.lat]);
-    if (mx && my) {
+    const highlighted = map.highlightStates || [];
+    g.selectAll(".mini-state-highlight")
+      .data(visibleStates.filter((f) => highlighted.includes(f.id)))
+      .enter()
+      .append("path")
+      .attr("class", "mini-state-highlight")
+      .attr("d", miniPath)
+      .attr("fill", "#fff")
+      .attr("fill-opacity", 0.3)
+      .attr("stroke", "#2a2d34")
+      .attr("stroke-width", 2);
+  }
+
+  // Hand-drawn regions (e.g. a short-lived republic or a disputed strip)
+  g.selectAll(".mini-area")
+    .data(map.areas || [])
+    .enter()
+    .append("path")
+    .attr("class", "mini-area")
+    .attr("d", (d) => miniPath(annotationArea(d.coordinates)))
+    .attr("fill", "#e63946")
+    .attr("fill-opacity", 0.2)
+    .attr("stroke", "#e63946")
+    .attr("stroke-width", 1.5)
+    .attr("stroke-dasharray", "4 2");
+
+  // Routes, drawn as arrows in the direction of travel
+  g.selectAll(".mini-route")
+    .data(map.routes || [])
+    .enter()
+    .append("path")
+    .attr("class", "mini-route")
+    .attr("d", (d) => miniPath({ type: "LineString", coordinates: d.coordinates }))
+    .attr("fill", "none")
+    .attr("stroke", "#e63946")
+    .attr("stroke-width", 2)
+    .attr("stroke-linecap", "round")
+    .attr("stroke-linejoin", "round")
+    .attr("marker-end", "url(#fn-arrow)");
+
+  // Area labels sit at the centroid, route labels at the start, unless moved
+  // with `labelAt`; markers get a dot
+  const labels = [
+    ...(map.areas || []).map((d) => ({
+      label: d.label,
+      coords: d.labelAt || d3.geoCentroid(annotationArea(d.coordinates)),
+    })),
+    ...(map.routes || []).map((d) => ({ label: d.label, coords: d.labelAt || d.coordinates[0], offset: 10 })),
+    ...(map.markers || []).map((d) => ({ label: d.label, coords: [d.lon, d.lat], dot: true, offset: 10 })),
+  ];
+
+  labels.forEach(({ label, coords, dot, offset = 0 }) => {
+    const [x, y] = miniProjection(coords);
+    if (dot) {
       g.append("circle")
-        .attr("cx", mx)
-        .attr("cy", my)
-        .attr("r", 4)
+        .attr("cx", x)
+        .attr("cy", y)
+        .attr("r", 3.5)
         .attr("fill", "#e63946")
         .attr("stroke", "#fff")
         .attr("stroke-width", 1.5);
-
-      g.append("text")
-        .attr("x", mx + 10)
-        .attr("y", my - 10)
-        .attr("font-family", "Inter, system-ui, sans-serif")
-        .attr("font-size", "11px")
-        .attr("font-weight", "600")
-        .attr("fill", "#2a2d34")
-        .attr("stroke", "#eef1f5")
-        .attr("stroke-width", 2.5)
-        .attr("paint-order", "stroke")
-        .text(data.mapMarker.label);
     }
+    if (!label) return;
+    g.append("text")
+      .attr("x", x)
+      .attr("y", y - offset)
+      .attr("text-anchor", "middle")
+      .attr("font-family", "Inter, system-ui, sans-serif")
+      .attr("font-size", "11px")
+      .attr("font-weight", "600")
+      .attr("fill", "#2a2d34")
+      .attr("stroke", "#eef1f5")
+      .attr("stroke-width", 2.5)
+      .attr("paint-order", "stroke")
+      .text(label);
+  });
+
+  // Before/after toggle: recolour the acquisitions between two steps
+  if (map.beforeStep !== undefined && acquisitions && MAP_STEPS[map.beforeStep]) {
+    const toggle = d3.select(container)
+      .append("div")
+      .attr("class", "footnote-compare")
+      .attr("role", "group")
+      .attr("aria-label", t("footnote.compare"));
+
+    const states = [
+      { label: t("footnote.before", { year: MAP_STEPS[map.beforeStep].year }), step: map.beforeStep },
+      { label: t("footnote.after", { year: MAP_STEPS[step].year }), step },
+    ];
+
+    toggle.selectAll("button")
+      .data(states)
+      .enter()
+      .append("button")
+      .attr("type", "button")
+      .attr("aria-pressed", (d) => String(d.step === step))
+      .text((d) => d.label)
+      .on("click", (event, d) => {
+        event.stopPropagation();
+        toggle.selectAll("button").attr("aria-pressed", (o) => String(o === d));
+        acquisitions.interrupt()
+          .transition()
+          .duration(motionDuration(400))
+          .attr("fill", (f) => miniMapFill(f, d.step));
+      });
   }
 }
 
@@ -1192,49 +3667,74 @@ function handleResize() {
   // Recalculate zoom projections for new viewport
   fitProjection(svg, geoDataByStep);
 
-  // Remember current zoom level but reset so it gets reapplied
-  const savedZoomLevel = currentZoomLevel;
-  currentZoomLevel = null;
-
   if (lastWasDesktop !== desktop) {
-    if (desktop) {
-      const { type } = getPageInfo(pageElements[currentPage]);
-      if (type === "transition") {
-        const nextStory = pageElements.findIndex((el, i) =>
-          i > currentPage && el.dataset.type === "story"
-        );
-        if (nextStory !== -1) {
-          currentPage = nextStory;
-          pageElements.forEach((el, i) => {
-            el.classList.toggle("is-active", i === currentPage);
-          });
-        }
-      }
+    const resolved = resolveNavigablePage(currentPage);
+    if (resolved !== currentPage) {
+      currentPage = resolved;
+      pageElements.forEach((el, i) => {
+        el.classList.toggle("is-active", i === currentPage);
+      });
+      writePageHash("replace");
     }
 
     buildTimeline();
+    postPresenterState();
     lastWasDesktop = desktop;
   }
 
-  // Re-render paths with new projection
+  redrawMap(svg);
+  updateEdgeNav();
+}
+
+// Rebuild the map layers and redraw the current page (or explore year)
+// without any transitions
+function redrawMap(svg) {
+  // Reset the zoom level so it gets reapplied
+  currentZoomLevel = null;
+
+  if (isExploring) {
+    applyZoomLevel(MAP_STEPS[stepIndexForYear(exploreYear)].zoom, false);
+    initializeMap(svg);
+    renderExploreYear(svg, exploreYear, { duration: 0, animate: false });
+  } else {
+    renderCurrentPageInstant(svg);
+  }
+
+  // Keep a free zoom where it was, against the new presets
+  if (freeZoom) {
+    constrainFreeZoom(freeZoom.behavior, freeZoom.baseLevel);
+    reprojectFreeZoom(svg, d3.zoomTransform(svg.node()));
+    document.getElementById("map-layer").classList.remove("is-thumbnail");
+  }
+}
+
+// Re-render the map for the current page without any transitions
+function renderCurrentPageInstant(svg) {
+  const desktop = isDesktop();
   const pageEl = pageElements[currentPage];
   const { type, step } = getPageInfo(pageEl);
   const mapLayer = document.getElementById("map-layer");
 
   // Apply zoom level for current step (instant, no animation)
-  const targetStep = step !== null ? step : 0;
+  const targetStep = step !== null && MAP_STEPS[step] ? step : 0;
   const targetZoom = MAP_STEPS[targetStep].zoom;
   applyZoomLevel(targetZoom, false);
 
   // Re-initialize and re-render
   initializeMap(svg);
+  compareMapReady = false;
 
   if (type === "intro") {
     mapLayer.classList.remove("is-thumbnail");
     renderMapStep(svg, geoDataByStep, 0, { opacity: 0.15, duration: 0, animate: false });
+    updateOverlayLayers(svg, null, 0);
+    updateAreaChart(null, 0);
   } else if (type === "overview") {
     mapLayer.classList.remove("is-thumbnail");
     renderOverviewMap(svg, { opacity: 1, duration: 0, animate: false });
+  } else if (type === "compare") {
+    mapLayer.classList.remove("is-thumbnail");
+    renderComparison(svg, { duration: 0, animate: false });
   } else if (step !== null) {
     if (desktop || type === "transition") {
       mapLayer.classList.remove("is-thumbnail");
@@ -1243,8 +3743,6 @@ function handleResize() {
     }
     renderMapStep(svg, geoDataByStep, step, { opacity: 1, duration: 0, animate: false });
   }
-
-  updateEdgeNav();
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -1252,30 +3750,57 @@ function handleResize() {
 // ─────────────────────────────────────────────────────────────
 
 async function init() {
-  // Load data in parallel
-  [geoDataByStep, contextCountries, acquisitionsData, usStates] = await Promise.all([
-    loadAllGeoJSON(),
-    loadContextCountries(),
-    loadAcquisitions(),
-    loadUSStates()
-  ]);
+  setupLanguageSwitcher(document.getElementById("language-select"));
+  setupMotion();
+  setMapStatus("loading");
+  document.getElementById("map-status-retry")?.addEventListener("click", () => location.reload());
+
+  let story;
+  let geometry;
+  try {
+    // The story manifest names the per-step files, so it has to come first
+    story = await loadStory(currentLocale());
+    applyStory(story);
+
+    // Start with the coarsest geometry; finer tiers follow the zoom. Video
+    // frames use the finest throughout so nothing swaps mid-render.
+    geometry = await loadGeometryTier(RENDER_MODE ? GEOMETRY_TIERS[GEOMETRY_TIERS.length - 1] : GEOMETRY_TIERS[0]);
+  } catch (error) {
+    console.error("[data] could not load the story", error);
+    setMapStatus("error");
+    return;
+  }
+  ({ acquisitions: acquisitionsData, byStep: geoDataByStep, countries: contextCountries } = geometry);
+  geometryTier = RENDER_MODE ? GEOMETRY_TIERS[GEOMETRY_TIERS.length - 1] : GEOMETRY_TIERS[0];
 
+  const problems = validateStory(story, {
+    acquisitions: acquisitionsData,
+    zoomLevels: ZOOM_LEVELS,
+  });
+  problems.forEach((problem) => console.warn(`[story.json] ${problem}`));
+
+  applyAcquisitionStats();
+  renderStoryPages(document.getElementById("pages"), story, { acquisitions: acquisitionsData });
   pageElements = Array.from(document.querySelectorAll(".page"));
   totalPages = pageElements.length;
+  pageNotes = speakerNotes(story);
   lastWasDesktop = isDesktop();
+  labelPages();
 
   const svg = d3.select("#map");
   fitProjection(svg, geoDataByStep);
+  buildAreaChart();
 
-  // Apply initial zoom level before creating paths
-  const initialZoom = MAP_STEPS[0].zoom;
-  applyZoomLevel(initialZoom, false);
-
-  // Initialize map layers and render context countries once
-  initializeMap(svg);
+  // Restore the page named in the URL hash (falls back to the intro)
+  currentPage = resolveNavigablePage(hashToPage(location.hash) ?? 0);
+  pageElements.forEach((el, i) => {
+    el.classList.toggle("is-active", i === currentPage);
+  });
+  writePageHash("replace");
 
-  // Render initial US state (zoom already applied, so pass animate: false)
-  renderMapStep(svg, geoDataByStep, 0, { opacity: 0.15, duration: 0, animate: false });
+  // Apply zoom, build map layers and render the page without animation
+  renderCurrentPageInstant(svg);
+  chooseRenderer(svg);
 
   buildTimeline();
   setupEdgeNav();
@@ -1283,7 +3808,23 @@ async function init() {
   setupKeyboard();
   setupClickNav();
   setupNotesModal();
-  setupFootnotes();
+  setupFootnotes(); // Before explore and free zoom, for Escape
+  setupHistory();
+  setupDetailCard(); // Before explore and free zoom, for Escape
+  setupExplore();
+  setupBoundaries();
+  setupStatehood();
+  setupCessions();
+  setupClaims();
+  setupRhetoricTargets();
+  setupExport();
+  setupComparison();
+  setupFreeZoom();
+  setupPresenter();
+
+  setMapStatus(null);
+  const overlaysLoaded = loadOverlayData(svg);
+  if (RENDER_MODE) renderStoryFrames(svg, overlaysLoaded);
 
   window.addEventListener("resize", debounce(handleResize, 200));
 }
@@ -1296,4 +3837,12 @@ function debounce(fn, ms) {
   };
 }
 
-init();
+// Everything below draws text, so the locale's strings come first
+loadLocale().then(() => {
+  translatePage();
+  if (PRESENTER_MODE) {
+    startPresenterView();
+  } else {
+    init();
+  }
+});
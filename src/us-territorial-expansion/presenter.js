@@ -0,0 +1,233 @@
+import { t, currentLocale } from "./i18n.js";
+
+// ─────────────────────────────────────────────────────────────
+// Presenter view
+// ─────────────────────────────────────────────────────────────
+
+// The second window opened by "Presenter view" (the same page with
+// ?presenter): the current page's speaker notes, a preview of the next page
+// and a timer. It keeps no story state of its own. The story window posts
+// its state on PRESENTER_CHANNEL after every page change, and this window
+// posts back the pages to go to.
+//
+//   story → presenter   { type: "state", ... }   see presenterState() in main.js
+//                       { type: "closed" }
+//   presenter → story   { type: "hello" }        asks for the current state
+//                       { type: "next" }, { type: "prev" }, { type: "go", page }
+
+export const PRESENTER_CHANNEL = "us-territorial-expansion-presenter";
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function button(className, text, label) {
+  const node = el("button", className, text);
+  node.type = "button";
+  if (label) node.setAttribute("aria-label", label);
+  return node;
+}
+
+// "4:05", or "1:04:05" past the hour
+function formatElapsed(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+function buildLayout() {
+  const root = el("div", "presenter");
+
+  const header = el("header", "presenter-header");
+  const position = el("p", "presenter-position");
+  const title = el("h1", "presenter-title", t("presenter.waiting"));
+  const jump = el("select", "presenter-jump");
+  jump.setAttribute("aria-label", t("presenter.jump"));
+  const heading = el("div");
+  heading.append(position, title);
+  header.append(heading, jump);
+
+  const notes = el("section", "presenter-notes");
+  notes.setAttribute("aria-labelledby", "presenter-notes-title");
+  const notesTitle = el("h2", "presenter-section-title", t("presenter.notes"));
+  notesTitle.id = "presenter-notes-title";
+  const notesBody = el("div", "presenter-notes-body");
+  notes.append(notesTitle, notesBody);
+
+  const next = el("section", "presenter-next");
+  next.setAttribute("aria-labelledby", "presenter-next-title");
+  const nextTitle = el("h2", "presenter-section-title", t("presenter.next"));
+  nextTitle.id = "presenter-next-title";
+  const nextBody = el("div", "presenter-next-body");
+  next.append(nextTitle, nextBody);
+
+  const timer = el("div", "presenter-timer");
+  const clock = el("p", "presenter-clock");
+  const elapsed = el("p", "presenter-elapsed", formatElapsed(0));
+  elapsed.setAttribute("role", "timer");
+  const toggleTimer = button("presenter-button", t("presenter.start"));
+  const resetTimer = button("presenter-button", t("presenter.reset"));
+  const timerButtons = el("div", "presenter-timer-buttons");
+  timerButtons.append(toggleTimer, resetTimer);
+  timer.append(clock, elapsed, timerButtons);
+
+  const nav = el("nav", "presenter-nav");
+  nav.setAttribute("aria-label", t("presenter.navigation"));
+  const prev = button("presenter-button presenter-button--nav", t("presenter.previousPage"));
+  const forward = button("presenter-button presenter-button--nav", t("presenter.nextPage"));
+  nav.append(prev, forward);
+
+  const status = el("p", "presenter-status");
+  status.setAttribute("role", "status");
+
+  root.append(header, notes, next, timer, nav, status);
+  return {
+    root, position, title, jump, notesBody, nextBody,
+    clock, elapsed, toggleTimer, resetTimer, prev, forward, status,
+  };
+}
+
+// Elapsed time, paused and resumed by hand; starts itself on the first page
+// change so a presenter can open the window early
+function createTimer(view) {
+  let startedAt = null; // Date.now() when last resumed, null while paused
+  let banked = 0; // ms run before the last pause
+
+  const elapsedMs = () => banked + (startedAt === null ? 0 : Date.now() - startedAt);
+
+  const render = () => {
+    view.elapsed.textContent = formatElapsed(elapsedMs());
+    view.clock.textContent = new Date().toLocaleTimeString(currentLocale(), { hour: "2-digit", minute: "2-digit" });
+    view.toggleTimer.textContent = t(startedAt === null ? (banked ? "presenter.resume" : "presenter.start") : "presenter.pause");
+  };
+
+  const timer = {
+    get running() {
+      return startedAt !== null;
+    },
+    get started() {
+      return startedAt !== null || banked > 0;
+    },
+    start() {
+      if (startedAt === null) startedAt = Date.now();
+      render();
+    },
+    pause() {
+      banked = elapsedMs();
+      startedAt = null;
+      render();
+    },
+    reset() {
+      banked = 0;
+      startedAt = null;
+      render();
+    },
+  };
+
+  view.toggleTimer.addEventListener("click", () => (timer.running ? timer.pause() : timer.start()));
+  view.resetTimer.addEventListener("click", () => timer.reset());
+  setInterval(render, 1000);
+  render();
+  return timer;
+}
+
+function renderNotes(container, notes) {
+  if (!notes.length) {
+    container.replaceChildren(el("p", "presenter-empty", t("presenter.noNotes")));
+    return;
+  }
+  container.replaceChildren(...notes.map((note) => el("p", null, note)));
+}
+
+function renderNext(container, next) {
+  if (!next) {
+    container.replaceChildren(el("p", "presenter-empty", t("presenter.end")));
+    return;
+  }
+  const parts = [el("p", "presenter-next-label", next.label)];
+  if (next.heading && next.heading !== next.label) parts.push(el("h3", null, next.heading));
+  if (next.excerpt) parts.push(el("p", "presenter-next-excerpt", next.excerpt));
+  container.replaceChildren(...parts);
+}
+
+function renderJumpList(select, pages, current) {
+  const signature = pages.map((p) => p.page).join();
+  if (select.dataset.pages !== signature) {
+    select.replaceChildren(...pages.map(({ page, label }) => {
+      const option = el("option", null, label);
+      option.value = page;
+      return option;
+    }));
+    select.dataset.pages = signature;
+  }
+  select.value = current;
+}
+
+export function startPresenterView() {
+  const view = buildLayout();
+  document.body.replaceChildren(view.root);
+  document.body.classList.add("is-presenter");
+  const storyTitle = document.title;
+  document.title = t("presenter.documentTitle", { title: storyTitle });
+
+  const timer = createTimer(view);
+  const channel = new BroadcastChannel(PRESENTER_CHANNEL);
+  const send = (message) => channel.postMessage(message);
+  let lastPage = null;
+
+  const setConnected = (connected) => {
+    view.root.classList.toggle("is-disconnected", !connected);
+    view.status.textContent = connected
+      ? ""
+      : t("presenter.disconnected");
+    view.prev.disabled = view.forward.disabled = view.jump.disabled = !connected;
+  };
+
+  channel.addEventListener("message", ({ data }) => {
+    if (data.type === "closed") {
+      lastPage = null;
+      setConnected(false);
+      view.title.textContent = t("presenter.waiting");
+      return;
+    }
+    if (data.type !== "state") return;
+
+    setConnected(true);
+    if (lastPage !== null && data.page !== lastPage && !timer.started) timer.start();
+    lastPage = data.page;
+
+    view.position.textContent = t("presenter.position", { position: data.position, count: data.count });
+    view.title.textContent = data.label;
+    renderNotes(view.notesBody, data.notes);
+    renderNext(view.nextBody, data.next);
+    renderJumpList(view.jump, data.pages, data.page);
+    view.prev.disabled = data.position <= 1;
+    view.forward.disabled = !data.next;
+  });
+
+  view.prev.addEventListener("click", () => send({ type: "prev" }));
+  view.forward.addEventListener("click", () => send({ type: "next" }));
+  view.jump.addEventListener("change", () => send({ type: "go", page: Number(view.jump.value) }));
+
+  // Arrow keys, Space and the Page Up/Down keys most slide clickers send
+  document.addEventListener("keydown", (e) => {
+    // Let the page list keep its keys, and Space activate buttons
+    if (e.target.closest("select")) return;
+    if (e.key === " " && e.target.closest("button")) return;
+    if (["ArrowRight", "ArrowDown", "PageDown", " "].includes(e.key)) {
+      e.preventDefault();
+      send({ type: "next" });
+    } else if (["ArrowLeft", "ArrowUp", "PageUp"].includes(e.key)) {
+      e.preventDefault();
+      send({ type: "prev" });
+    }
+  });
+
+  setConnected(false);
+  send({ type: "hello" });
+}
@@ -0,0 +1,102 @@
+import * as d3 from "d3";
+import { t, format, translateData } from "./i18n.js";
+
+// ─────────────────────────────────────────────────────────────
+// Acquisition statistics
+// ─────────────────────────────────────────────────────────────
+
+// Formatting for the area and price fields that
+// scripts/compute-acquisition-stats.js stores on each acquisitions.geojson
+// feature. Story pages, tooltips and the area chart all go through here so
+// they agree with each other and with the polygons on the map.
+
+export function formatUSD(usd) {
+  const millions = usd / 1e6;
+  return format(millions < 10 ? "$.1~f" : "$,.0f", "millions")(millions);
+}
+
+// Nearest thousand, or nearest hundred for small areas
+export function formatArea(value) {
+  const unit = value < 10000 ? 100 : 1000;
+  return format(",")(Math.round(value / unit) * unit);
+}
+
+function formatPerAcre(usd, sqMi) {
+  const cents = (usd / (sqMi * 640)) * 100;
+  if (cents >= 100) return format("$.2f")(cents / 100);
+  return format(cents < 10 ? "$.1~f" : "$.0f", "cents")(cents);
+}
+
+// Every stat a story page can reference as { "stat": "<key>" }, with its
+// default label. Returns null when the feature has no value for the stat.
+const STATS = {
+  price: (p) => p.price_usd && {
+    value: formatUSD(p.price_usd),
+    label: p.price_note ? translateData(p.price_note) : t("stats.price"),
+  },
+  adjustedPrice: (p) => p.price_adjusted_usd && {
+    value: formatUSD(p.price_adjusted_usd),
+    label: t("stats.inDollars", { year: p.price_adjusted_year }),
+  },
+  area: (p) => p.area_sq_mi && { value: formatArea(p.area_sq_mi), label: t("unit.sqMi") },
+  areaKm2: (p) => p.area_km2 && { value: formatArea(p.area_km2), label: t("unit.km2") },
+  perAcre: (p) => p.price_usd && p.area_sq_mi && {
+    value: formatPerAcre(p.price_usd, p.area_sq_mi),
+    label: t("stats.perAcre"),
+  },
+};
+
+export const STAT_KEYS = Object.keys(STATS);
+
+export function acquisitionStat(key, properties) {
+  const stat = STATS[key];
+  return (stat && properties && stat(properties)) || null;
+}
+
+// One-line summary for tooltips: "$15M (≈ $314M in 2024) · 1,019,000 sq mi"
+export function acquisitionSummary(properties) {
+  const price = acquisitionStat("price", properties);
+  const adjusted = acquisitionStat("adjustedPrice", properties);
+  const area = acquisitionStat("area", properties);
+  const perAcre = acquisitionStat("perAcre", properties);
+
+  return [
+    price && (adjusted
+      ? t("summary.adjusted", { price: price.value, adjusted: adjusted.value, year: properties.price_adjusted_year })
+      : price.value),
+    area && `${area.value} ${area.label}`,
+    perAcre && t("summary.perAcre", { value: perAcre.value }),
+  ].filter(Boolean).join(" · ");
+}
+
+// ─────────────────────────────────────────────────────────────
+// Comparisons for the epilogue
+// ─────────────────────────────────────────────────────────────
+
+// Measured as scripts/compute-acquisition-stats.js measures the acquisitions,
+// so a country and an acquisition compare like for like
+const EARTH_RADIUS_KM = 6371.0088;
+const KM2_PER_SQ_MI = 2.589988110336;
+
+export function featureAreaSqMi(feature) {
+  return (d3.geoArea(feature) * EARTH_RADIUS_KM ** 2) / KM2_PER_SQ_MI;
+}
+
+// "56,700", "41.5 million"
+export function formatPopulation(count) {
+  return count >= 1e6
+    ? t("population.millions", { value: format(".3~r")(count / 1e6) })
+    : format(",")(count);
+}
+
+// "0.8× Gadsden Purchase (1853)": size against the acquisition nearest to it,
+// or against all of them together when it is bigger than that.
+// `acquisitions` are { name, area } with area in sq mi.
+export function compareArea(sqMi, acquisitions) {
+  const ratio = (area) => format(".2~f")(sqMi / area);
+  const total = d3.sum(acquisitions, (a) => a.area);
+  if (sqMi > total) return t("rhetoric.vsAll", { ratio: ratio(total) });
+
+  const nearest = d3.least(acquisitions, (a) => Math.abs(Math.log(sqMi / a.area)));
+  return t("rhetoric.vsAcquisition", { ratio: ratio(nearest.area), name: nearest.name });
+}
@@ -0,0 +1,443 @@
+import * as d3 from "d3";
+import { acquisitionStat, STAT_KEYS } from "./stats.js";
+
+// ─────────────────────────────────────────────────────────────
+// Story manifest
+// ─────────────────────────────────────────────────────────────
+
+// Single source of truth for steps, colours, labels, narrative text and
+// footnotes. Edit public/data/us-territorial-expansion/story.json to change
+// the story; the pages in index.html are generated from it at runtime.
+const STORY_URL = "/data/us-territorial-expansion/story.json";
+
+// Translations live beside it as story.<locale>.json and hold only the text:
+// the same shape as story.json, without the years, files, colours and
+// coordinates. Anything a translation leaves out stays in English.
+const translationUrl = (locale) => `/data/us-territorial-expansion/story.${locale}.json`;
+
+export async function loadStory(locale = "en") {
+  const [story, translation] = await Promise.all([
+    d3.json(STORY_URL),
+    locale === "en" ? null : d3.json(translationUrl(locale)).catch((error) => {
+      console.warn(`[story.json] no ${locale} translation; showing the story in English`, error);
+      return null;
+    }),
+  ]);
+  return translation ? translateStory(story, translation) : story;
+}
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Objects merge key by key and lists holding objects item by item (steps are
+// checked against their era); text and lists of text are replaced
+function translateStory(base, translation, path = "story") {
+  if (translation === undefined || translation === null) return base;
+  if (Array.isArray(base) && base.some(isObject)) {
+    return base.map((item, i) => {
+      const translated = translation[i];
+      if (translated?.era && translated.era !== item.era) {
+        console.warn(`[story.json] ${path}[${i}] is translated as "${translated.era}", not "${item.era}"`);
+        return item;
+      }
+      return translateStory(item, translated, `${path}[${i}]`);
+    });
+  }
+  if (isObject(base) && isObject(translation)) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(translation)) {
+      merged[key] = translateStory(base[key], value, `${path}.${key}`);
+    }
+    return merged;
+  }
+  return translation;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Validation
+// ─────────────────────────────────────────────────────────────
+
+// Returns a list of human-readable problems. The story still renders with
+// problems present; they are reported so writers notice drift between the
+// manifest, the map data and the narrative markup.
+export function validateStory(story, { acquisitions, zoomLevels } = {}) {
+  const problems = [];
+  const steps = story.steps || [];
+  const footnotes = story.footnotes || {};
+
+  if (steps.length === 0) {
+    problems.push("story has no steps");
+  }
+
+  const seenEras = new Set();
+  steps.forEach((step, i) => {
+    const where = `steps[${i}] (${step.era || "no era"})`;
+    if (!step.era) problems.push(`${where}: missing "era"`);
+    if (!step.year) problems.push(`${where}: missing "year"`);
+    if (!step.file) problems.push(`${where}: missing "file"`);
+    if (seenEras.has(step.era)) problems.push(`${where}: duplicate era`);
+    seenEras.add(step.era);
+
+    if (zoomLevels && !zoomLevels[step.zoom]) {
+      problems.push(`${where}: unknown zoom level "${step.zoom}"`);
+    }
+    if (step.acquisition !== false && !step.color) {
+      problems.push(`${where}: acquisition step has no "color"`);
+    }
+    if (step.treaty) {
+      const { name, signed, counterparty, countries = [] } = step.treaty;
+      if (!name || !counterparty) problems.push(`${where}: treaty needs "name" and "counterparty"`);
+      if (!d3.isoParse(signed || "")) problems.push(`${where}: treaty.signed must be a YYYY-MM-DD date`);
+      if (!countries.every(Number.isInteger)) problems.push(`${where}: treaty.countries must be numeric country ids`);
+    } else if (step.acquisition !== false) {
+      problems.push(`${where}: acquisition step has no "treaty"`);
+    }
+  });
+
+  // Cross-check against the acquisition polygons
+  if (acquisitions) {
+    const featureByEra = new Map(
+      acquisitions.features.map((f) => [f.properties.era, f])
+    );
+
+    steps.forEach((step, i) => {
+      // Computed stats must exist for the step's polygon
+      (step.story?.stats || []).forEach(({ stat }, j) => {
+        if (stat === undefined) return;
+        if (!STAT_KEYS.includes(stat)) {
+          problems.push(`steps[${i}].story.stats[${j}]: unknown stat "${stat}"`);
+        } else if (!acquisitionStat(stat, featureByEra.get(step.era)?.properties)) {
+          problems.push(`steps[${i}].story.stats[${j}]: acquisitions.geojson has no "${stat}" for era "${step.era}"`);
+        }
+      });
+
+      if (step.acquisition === false) return;
+      const feature = featureByEra.get(step.era);
+      if (!feature) {
+        problems.push(`steps[${i}]: era "${step.era}" is missing from acquisitions.geojson`);
+      } else if (feature.properties.step !== i) {
+        problems.push(
+          `steps[${i}]: era "${step.era}" has step ${feature.properties.step} in acquisitions.geojson`
+        );
+      }
+    });
+
+    for (const era of featureByEra.keys()) {
+      if (!seenEras.has(era)) {
+        problems.push(`acquisitions.geojson: era "${era}" has no step in the story`);
+      }
+    }
+  }
+
+  // Footnotes referenced from the narrative must exist, and their mini-map
+  // step must point at a real step
+  const html = steps
+    .flatMap((step) => [
+      step.transition?.disclaimer || "",
+      ...(step.story?.paragraphs || []),
+    ])
+    .join("\n");
+  for (const [, id] of html.matchAll(/data-footnote="([^"]+)"/g)) {
+    if (!footnotes[id]) problems.push(`narrative references unknown footnote "${id}"`);
+  }
+  // The comparison page opens on two real steps
+  if (story.compare) {
+    for (const key of ["from", "to"]) {
+      if (!seenEras.has(story.compare[key])) problems.push(`compare.${key}: unknown era "${story.compare[key]}"`);
+    }
+  }
+
+  // Each rhetoric target highlights a country and quotes a dated source
+  (story.rhetoricTargets || []).forEach((target, i) => {
+    const where = `rhetoricTargets[${i}] (${target.name || "no name"})`;
+    if (!Number.isInteger(target.country)) problems.push(`${where}: "country" must be a numeric country id`);
+    if (target.population && !target.populationYear) problems.push(`${where}: population has no "populationYear"`);
+    const { quote } = target;
+    if (quote && !(quote.text && quote.speaker && d3.isoParse(quote.date || ""))) {
+      problems.push(`${where}: quote needs "text", "speaker" and a YYYY-MM-DD "date"`);
+    }
+  });
+
+  // Speaker notes for the presenter view are plain-text lists
+  const notesOwners = [
+    ["intro", story.intro],
+    ...steps.flatMap((step, i) => [
+      [`steps[${i}].transition`, step.transition],
+      [`steps[${i}].story`, step.story],
+    ]),
+    ["overview", story.overview],
+    ["compare", story.compare],
+  ];
+  for (const [where, owner] of notesOwners) {
+    const notes = owner?.notes;
+    if (notes !== undefined && !(Array.isArray(notes) && notes.every((n) => typeof n === "string"))) {
+      problems.push(`${where}.notes must be a list of strings`);
+    }
+  }
+
+  for (const [id, note] of Object.entries(footnotes)) {
+    problems.push(...validateFootnote(note, steps).map((p) => `footnotes.${id}: ${p}`));
+  }
+
+  return problems;
+}
+
+// Footnote side-stories: optional mini-map annotations and image embeds
+function validateFootnote(note, steps) {
+  const problems = [];
+  const isLonLat = (c) => Array.isArray(c) && c.length === 2 && c.every(Number.isFinite);
+  // A GeoJSON linear ring, as d3 expects: a triangle or more, closed
+  const isClosedRing = (coords) => coords.length >= 4 &&
+    coords[0][0] === coords.at(-1)[0] && coords[0][1] === coords.at(-1)[1];
+
+  (note.paragraphs || []).forEach((item, i) => {
+    if (typeof item !== "string" && !item?.src) {
+      problems.push(`paragraphs[${i}] is neither text nor an image with "src"`);
+    } else if (item.src && !item.alt) {
+      problems.push(`paragraphs[${i}]: image has no "alt" text`);
+    }
+  });
+
+  const { map } = note;
+  if (!map) return problems;
+
+  if (!Array.isArray(map.bounds) || !map.bounds.every(isLonLat)) {
+    problems.push(`map.bounds must be [[west, south], [east, north]]`);
+  }
+  for (const key of ["step", "beforeStep"]) {
+    if (map[key] !== undefined && !steps[map[key]]) {
+      problems.push(`map.${key} ${map[key]} does not exist`);
+    }
+  }
+  (map.markers || []).forEach((marker, i) => {
+    if (!isLonLat([marker.lon, marker.lat])) problems.push(`map.markers[${i}] needs "lon" and "lat"`);
+  });
+  for (const key of ["areas", "routes"]) {
+    (map[key] || []).forEach((item, i) => {
+      const coords = item.coordinates || [];
+      if (!coords.every(isLonLat)) {
+        problems.push(`map.${key}[${i}].coordinates must all be [lon, lat]`);
+      } else if (key === "routes" && coords.length < 2) {
+        problems.push(`map.routes[${i}] needs at least two [lon, lat] coordinates`);
+      } else if (key === "areas" && !isClosedRing(coords)) {
+        problems.push(`map.areas[${i}] must be a closed ring: at least four [lon, lat] coordinates, the last repeating the first`);
+      }
+      if (item.labelAt !== undefined && !isLonLat(item.labelAt)) {
+        problems.push(`map.${key}[${i}].labelAt must be [lon, lat]`);
+      }
+    });
+  }
+  return problems;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Page generation
+// ─────────────────────────────────────────────────────────────
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function buildIntroPage(intro) {
+  const page = el("article", "page page--intro");
+  page.dataset.type = "intro";
+
+  const overlay = el("div", "page-overlay");
+  overlay.append(
+    el("h1", null, intro.title),
+    el("p", "page-tagline", intro.tagline),
+    el("p", "page-prompt", intro.prompt)
+  );
+  page.appendChild(overlay);
+  return page;
+}
+
+function buildTransitionPage(step, stepIndex) {
+  const page = el("article", "page page--transition");
+  if (step.epilogue) page.classList.add("page--epilogue");
+  page.dataset.type = "transition";
+  page.dataset.step = stepIndex;
+
+  const overlay = el("div", "page-overlay");
+  overlay.append(
+    el("span", "page-year", step.year),
+    el("h2", null, step.transition.title)
+  );
+  page.appendChild(overlay);
+
+  if (step.transition.disclaimer) {
+    const disclaimer = el("p", "map-disclaimer");
+    disclaimer.innerHTML = step.transition.disclaimer;
+    page.appendChild(disclaimer);
+  }
+  return page;
+}
+
+// Stats are either literal { value, label } or { stat, label? } computed from
+// the step's acquisition polygon (see stats.js)
+function resolveStat(item, properties) {
+  if (item.stat === undefined) return item;
+  const computed = acquisitionStat(item.stat, properties);
+  return computed && { ...computed, ...(item.label && { label: item.label }) };
+}
+
+function buildStoryPage(step, stepIndex, properties, rhetoricTargets = []) {
+  const { story } = step;
+  const page = el("article", "page page--story");
+  if (step.epilogue) page.classList.add("page--epilogue");
+  page.dataset.type = "story";
+  page.dataset.step = stepIndex;
+
+  const thumb = el("div", "page-map-thumb");
+  thumb.id = `thumb-${stepIndex}`;
+
+  const content = el("div", "page-story");
+  content.append(el("span", "page-year", step.year), el("h2", null, story.title));
+
+  if (story.disclaimer) {
+    content.appendChild(el("p", "page-disclaimer", story.disclaimer));
+  }
+
+  const resolvedStats = (story.stats || [])
+    .map((item) => resolveStat(item, properties))
+    .filter(Boolean);
+  if (resolvedStats.length) {
+    const stats = el("div", "page-stats");
+    resolvedStats.forEach(({ value, label }) => {
+      const stat = el("span", "stat");
+      stat.append(el("strong", null, value), ` ${label}`);
+      stats.appendChild(stat);
+    });
+    content.appendChild(stats);
+  }
+
+  (story.paragraphs || []).forEach((html) => {
+    const p = el("p");
+    p.innerHTML = html;
+    content.appendChild(p);
+  });
+
+  // Epilogue: a button per rhetoric target, opening its quote panel
+  if (step.epilogue && story.targetsLabel && rhetoricTargets.length) {
+    const targets = el("div", "rhetoric-targets");
+    targets.appendChild(el("p", "rhetoric-targets-label", story.targetsLabel));
+    rhetoricTargets.forEach(({ name }) => {
+      const button = el("button", "rhetoric-target", name);
+      button.type = "button";
+      button.dataset.rhetoric = name;
+      targets.appendChild(button);
+    });
+    content.appendChild(targets);
+  }
+
+  if (story.quote) {
+    const quote = el("blockquote", null, story.quote.text);
+    quote.appendChild(el("cite", null, story.quote.cite));
+    content.appendChild(quote);
+  }
+
+  page.append(thumb, content);
+  return page;
+}
+
+function buildOverviewPage(overview, stepIndex) {
+  const page = el("article", "page page--transition page--overview");
+  page.dataset.type = "overview";
+  page.dataset.step = stepIndex;
+
+  const overlay = el("div", "page-overlay");
+  overlay.append(
+    el("h2", null, overview.title),
+    el("p", "page-subtitle", overview.subtitle)
+  );
+  if (overview.exploreLabel) {
+    const explore = el("button", "page-action", overview.exploreLabel);
+    explore.dataset.action = "explore";
+    overlay.appendChild(explore);
+  }
+  // Admission table, filled in by main.js once statehood.json has loaded
+  if (overview.statehoodLabel) {
+    const panel = el("details", "statehood-panel");
+    panel.dataset.statehood = "";
+    panel.appendChild(el("summary", null, overview.statehoodLabel));
+    overlay.appendChild(panel);
+  }
+  page.appendChild(overlay);
+  return page;
+}
+
+// Speaker notes for each generated page, in the order renderStoryPages()
+// creates them; pages without notes get an empty list
+export function speakerNotes(story) {
+  return [
+    story.intro.notes || [],
+    ...story.steps.flatMap((step) => [step.transition?.notes || [], step.story?.notes || []]),
+    story.overview.notes || [],
+    ...(story.compare ? [story.compare.notes || []] : []),
+  ];
+}
+
+// "Then and now" comparison of any two steps. main.js draws the two maps
+// under a swipe slider and fills in the acquisitions that differ.
+function buildComparePage(compare, stepIndex, steps) {
+  const page = el("article", "page page--story page--compare");
+  page.dataset.type = "compare";
+  page.dataset.step = stepIndex;
+
+  const content = el("div", "page-story");
+  content.appendChild(el("h2", null, compare.title));
+  if (compare.subtitle) content.appendChild(el("p", "page-subtitle", compare.subtitle));
+
+  const form = el("form", "compare-form");
+  [["then", compare.thenLabel, compare.from], ["now", compare.nowLabel, compare.to]].forEach(([name, text, era]) => {
+    const label = el("label", "compare-field");
+    label.appendChild(el("span", null, text));
+    const select = el("select");
+    select.name = name;
+    steps.forEach((step, i) => {
+      const option = el("option", null, `${step.year} · ${step.label?.name || step.story.title}`);
+      option.value = i;
+      option.selected = step.era === era;
+      select.appendChild(option);
+    });
+    label.appendChild(select);
+    form.appendChild(label);
+  });
+
+  content.append(form, el("div", "compare-diff"));
+  page.append(el("div", "page-map-thumb"), content);
+  return page;
+}
+
+// Generate the intro, per-step transition/story pages, the overview and the
+// comparison page in front of any static pages already in the container (the
+// notes page), then renumber every page so data-page and data-step stay
+// consistent.
+export function renderStoryPages(container, story, { acquisitions } = {}) {
+  const propertiesByEra = new Map(
+    (acquisitions?.features || []).map((f) => [f.properties.era, f.properties])
+  );
+
+  const pages = [buildIntroPage(story.intro)];
+  story.steps.forEach((step, i) => {
+    pages.push(
+      buildTransitionPage(step, i),
+      buildStoryPage(step, i, propertiesByEra.get(step.era), story.rhetoricTargets)
+    );
+  });
+  const afterLastStep = story.steps.length;
+  pages.push(buildOverviewPage(story.overview, afterLastStep));
+  if (story.compare) pages.push(buildComparePage(story.compare, afterLastStep, story.steps));
+
+  const staticPages = Array.from(container.querySelectorAll(".page"));
+  container.prepend(...pages);
+  staticPages.forEach((page) => {
+    page.dataset.step = afterLastStep;
+  });
+
+  container.querySelectorAll(".page").forEach((page, i) => {
+    page.dataset.page = i;
+  });
+}
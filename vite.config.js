@@ -1,6 +1,7 @@
 import { defineConfig } from "vite";
 import { resolve } from "path";
-import { readdirSync, statSync } from "fs";
+import { readdirSync, readFileSync, statSync } from "fs";
+import { createHash } from "crypto";
 
 // Auto-discover visualization pages in src/
 function getVisualizationInputs() {
@@ -45,8 +46,83 @@ function stripSrcPrefix() {
   };
 }
 
+// Files under public/data/, as site paths ("/data/…"); dotfiles skipped
+function listDataFiles(dir, prefix = "/data") {
+  const files = [];
+  try {
+    for (const entry of readdirSync(dir)) {
+      if (entry.startsWith(".")) continue;
+      const entryPath = resolve(dir, entry);
+      if (statSync(entryPath).isDirectory()) {
+        files.push(...listDataFiles(entryPath, `${prefix}/${entry}`));
+      } else {
+        files.push(`${prefix}/${entry}`);
+      }
+    }
+  } catch {
+    // public/data may not exist
+  }
+  return files;
+}
+
+// Files under public/data/ that only the scripts/ builders read. The geometry
+// tiers pack acquisitions.geojson, the yearly files and the world countries;
+// the map fetches a yearly file itself only while the tiers are out of date.
+const SOURCE_ONLY_DATA = [
+  /^\/data\/us-territorial-expansion\/world-countries-50m\.json$/,
+  /^\/data\/us-territorial-expansion\/acquisitions\.geojson$/,
+  /^\/data\/us-territorial-expansion\/\d{4}-[\w-]+\.geojson$/,
+];
+
+// Emit sw.js from src/service-worker.js with the list of files to precache:
+// every page (by its directory URL), the JS and CSS they load and what the
+// pages fetch from public/data/. The cache version is a hash of all of those,
+// so a deploy that changes any file installs a fresh cache and drops the old
+// one.
+function serviceWorker() {
+  return {
+    name: "service-worker",
+    enforce: "post",
+    generateBundle(_options, bundle) {
+      const hash = createHash("sha256");
+      const urls = [];
+
+      for (const entry of Object.values(bundle).sort((a, b) => a.fileName.localeCompare(b.fileName))) {
+        const { fileName } = entry;
+        if (fileName.endsWith(".html")) {
+          urls.push(`/${fileName.replace(/index\.html$/, "")}`);
+        } else {
+          urls.push(`/${fileName}`);
+        }
+        hash.update(fileName);
+        hash.update(entry.type === "chunk" ? entry.code : entry.source);
+      }
+
+      const publicDir = resolve(__dirname, "public");
+      for (const url of listDataFiles(resolve(publicDir, "data"))) {
+        if (SOURCE_ONLY_DATA.some((pattern) => pattern.test(url))) continue;
+        urls.push(url);
+        hash.update(url);
+        hash.update(readFileSync(resolve(publicDir, `.${url}`)));
+      }
+
+      const template = readFileSync(resolve(__dirname, "src/service-worker.js"), "utf8");
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: [
+          `const CACHE_VERSION = ${JSON.stringify(hash.digest("hex").slice(0, 12))};`,
+          `const PRECACHE_URLS = ${JSON.stringify(urls, null, 2)};`,
+          "",
+          template,
+        ].join("\n"),
+      });
+    },
+  };
+}
+
 export default defineConfig({
-  plugins: [stripSrcPrefix()],
+  plugins: [stripSrcPrefix(), serviceWorker()],
   build: {
     rollupOptions: {
       input: getVisualizationInputs(),